@@ -5,6 +5,7 @@ let chartInstances = {};
 let adminChartInstances = {};
 let selectedClassForModal = null;
 let selectedSubjectForModal = null;
+let selectedStudentForModal = null;
 
 // Cache for better performance
 let dataCache = {
@@ -16,21 +17,55 @@ let dataCache = {
 };
 
 // =============================
-// 📊 Google Sheets Integration (OPTIMIZED)
+// 📊 Data Backends (PLUGGABLE)
 // =============================
-class GoogleSheetsAPI {
-    constructor() {
-        this.apiUrl = "https://script.google.com/macros/s/AKfycbw0jNeTVwrG8wVloSCtsqPf76yAy4_LP4JrZa9OGoIOivBQ2B0OaEBr5XHyhCUjvh_cXg/exec";
+// Every backend exposes the same surface to the rest of the app:
+//   getSheet(sheetName, useCache)   -> array of row objects, or { error }
+//   getBatchSheets(sheetNames)      -> { [sheetName]: rows }
+//   addRow(sheetName, rowValues)    -> { success, message } or { error }
+//   updateRow(sheetName, keyColumn, keyValue, changes) -> { success, updated } or { error }
+//   deleteRow(sheetName, keyColumn, keyValue)          -> { success, deleted } or { error }
+//   updatePassword(username, pwd)   -> { success } or { error } (never queued)
+//   login(username, password)       -> { success, token, expiresAt, user } or { error }
+//   changePassword(username, current, next) -> { success } or { error } (never queued)
+//   getUserRoster(useCache)         -> user_credentials rows without the password column
+//   uploadFile(file, folder)        -> { success, url, name } or { error } (never queued)
+//   fileUrl(url)                    -> link that opens an uploaded file in the browser
+//   clearCache(), clearRequestQueue()
+// Passwords are only ever checked on the server. The browser never reads
+// user_credentials; it gets a signed session token from login() and sends it
+// with every request, and reads people through the sanitized user_roster.
+// Caching and the offline write queue are shared here; subclasses only
+// implement the transport (fetchSheet / postAction) for the server they talk to.
+// The queue lives in localStorage, so nothing carrying a password or a session
+// token is ever put in it: credential writes (addUsers, updatePassword,
+// changePassword) need a connection, and queued writes replay under whoever
+// is signed in when they are sent. Signing out drops whatever is still waiting.
+const APPS_SCRIPT_URL = "https://script.google.com/macros/s/AKfycbw0jNeTVwrG8wVloSCtsqPf76yAy4_LP4JrZa9OGoIOivBQ2B0OaEBr5XHyhCUjvh_cXg/exec";
+const LOCAL_BACKEND_URL = "http://localhost:8787/api";
+
+class SheetsBackend {
+    constructor(apiUrl, storagePrefix) {
+        this.apiUrl = apiUrl;
+        this.cacheStorageKey = `${storagePrefix}_cache`;
+        this.queueStorageKey = `${storagePrefix}_write_queue`;
         this.cache = new Map();
         this.localCache = this.initLocalCache();
         this.cacheTimeout = 30 * 1000; // 30 seconds only
-        this.requestQueue = [];
+        this.requestQueue = this.initRequestQueue();
         this.processing = false;
+        this.retryTimer = null;
+        this.queueListeners = [];
+        this.sessionToken = null;
+    }
+
+    setSessionToken(token) {
+        this.sessionToken = token || null;
     }
 
     initLocalCache() {
         try {
-            const cached = localStorage.getItem('dhdc_cache');
+            const cached = localStorage.getItem(this.cacheStorageKey);
             return cached ? JSON.parse(cached) : {};
         } catch {
             return {};
@@ -39,12 +74,30 @@ class GoogleSheetsAPI {
 
     saveLocalCache() {
         try {
-            localStorage.setItem('dhdc_cache', JSON.stringify(this.localCache));
+            localStorage.setItem(this.cacheStorageKey, JSON.stringify(this.localCache));
         } catch (e) {
             console.warn('Failed to save cache:', e);
         }
     }
 
+    invalidateSheet(sheetName) {
+        this.cache.delete(sheetName);
+        delete this.localCache[sheetName];
+        this.saveLocalCache();
+    }
+
+    // Transport: return the parsed JSON rows of one sheet (throw on failure).
+    // Implementations send this.sessionToken along as `token`.
+    async fetchSheet(sheetName) {
+        throw new Error(`${this.constructor.name} does not implement fetchSheet`);
+    }
+
+    // Transport: send a write to the server and return its parsed JSON reply.
+    // Implementations send this.sessionToken along as `token`.
+    async postAction(params) {
+        throw new Error(`${this.constructor.name} does not implement postAction`);
+    }
+
     async getSheet(sheetName, useCache = true) {
         const cacheKey = sheetName;
         const now = Date.now();
@@ -67,16 +120,7 @@ class GoogleSheetsAPI {
         }
 
         try {
-            const url = `${this.apiUrl}?sheet=${encodeURIComponent(sheetName)}&t=${now}`;
-            
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: { 'Accept': 'application/json' }
-            });
-            
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const data = await response.json();
+            const data = await this.fetchSheet(sheetName);
             
             // Cache in both memory and localStorage
             const cacheData = { data, timestamp: now };
@@ -107,57 +151,369 @@ class GoogleSheetsAPI {
     clearCache() {
         this.cache.clear();
         this.localCache = {};
-        localStorage.removeItem('dhdc_cache');
+        localStorage.removeItem(this.cacheStorageKey);
+    }
+
+    // Writes taking { online: true } fail instead of queueing when offline,
+    // for callers that must know the write has landed before going on
+    async addRow(sheetName, row, options = {}) {
+        return this.sendWriteWith(options, {
+            sheet: sheetName,
+            data: JSON.stringify(row)
+        }, sheetName);
     }
 
-    async addRow(sheetName, row) {
+    // Append several rows in one request; the backend adds all or none
+    async addRows(sheetName, rows) {
+        return this.sendWrite({
+            action: 'appendRows',
+            sheet: sheetName,
+            data: JSON.stringify(rows)
+        }, sheetName);
+    }
+
+    // Change columns of the row(s) whose keyColumn equals keyValue;
+    // columns the sheet does not have yet are added
+    async updateRow(sheetName, keyColumn, keyValue, changes, options = {}) {
+        return this.sendWriteWith(options, {
+            action: 'updateRow',
+            sheet: sheetName,
+            key: keyColumn,
+            keyValue: String(keyValue),
+            data: JSON.stringify(changes)
+        }, sheetName);
+    }
+
+    async deleteRow(sheetName, keyColumn, keyValue) {
+        return this.sendWrite({
+            action: 'deleteRow',
+            sheet: sheetName,
+            key: keyColumn,
+            keyValue: String(keyValue)
+        }, sheetName);
+    }
+
+    // =============================
+    // 📎 File Uploads
+    // =============================
+    // Sent straight away rather than queued: files can be large and the caller
+    // needs the stored link before it can record the file anywhere
+    async uploadFile(file, folder) {
+        if (navigator.onLine === false) return { error: 'Files can only be uploaded while online' };
         try {
-            const response = await fetch(this.apiUrl, {
-                method: "POST",
-                headers: { "Content-Type": "application/x-www-form-urlencoded" },
-                body: new URLSearchParams({
-                    sheet: sheetName,
-                    data: JSON.stringify(row)
-                })
+            const data = await this.readFileAsBase64(file);
+            const result = await this.postAction({
+                action: 'uploadFile',
+                folder,
+                name: file.name,
+                type: file.type || 'application/octet-stream',
+                data
             });
-            
-            const result = await response.json();
-            
-            // Invalidate related caches
-            this.cache.delete(sheetName);
-            delete this.localCache[sheetName];
-            this.saveLocalCache();
-            
+            if (result && result.success) {
+                result.url = new URL(result.url, this.apiUrl).href;
+            }
             return result;
         } catch (error) {
             return { error: error.message };
         }
     }
 
+    readFileAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    fileUrl(url) {
+        return url;
+    }
+
+    // =============================
+    // 👥 User Accounts
+    // =============================
+    // user_credentials writes; the cached user_roster is what changes for the client
+    async addUsers(rows) {
+        return this.sendOnlineWrite({
+            action: 'appendRows',
+            sheet: 'user_credentials',
+            data: JSON.stringify(rows)
+        }, "user_roster");
+    }
+
+    async updateUser(username, changes, options = {}) {
+        return this.sendWriteWith(options, {
+            action: 'updateRow',
+            sheet: 'user_credentials',
+            key: 'username',
+            keyValue: String(username),
+            data: JSON.stringify(changes)
+        }, "user_roster");
+    }
+
+    async renameSheet(sheetName, newName, options = {}) {
+        const result = await this.sendWriteWith(options, { action: 'renameSheet', sheet: sheetName, newName }, sheetName);
+        this.invalidateSheet(newName);
+        return result;
+    }
+
+    // Create an empty sheet (headers optional); no-op when it already exists
+    async createSheet(sheetName, headers = null, options = {}) {
+        const params = { action: 'createSheet', sheet: sheetName };
+        if (headers) params.headers = JSON.stringify(headers);
+        return this.sendWriteWith(options, params, sheetName);
+    }
+
     async updatePassword(username, newPassword) {
+        // Clear user roster cache since credentials changed
+        return this.sendOnlineWrite({
+            sheet: "password_updates",
+            data: JSON.stringify([username, newPassword])
+        }, "user_roster");
+    }
+
+    // =============================
+    // 🔑 Authentication
+    // =============================
+    async login(username, password) {
         try {
-            const response = await fetch(this.apiUrl, {
-                method: "POST",
-                headers: { "Content-Type": "application/x-www-form-urlencoded" },
-                body: new URLSearchParams({
-                    sheet: "password_updates",
-                    data: JSON.stringify([username, newPassword])
-                })
-            });
-            
-            const result = await response.json();
-            
-            // Clear user credentials cache since password changed
-            this.cache.delete("user_credentials");
-            delete this.localCache["user_credentials"];
-            this.saveLocalCache();
-            
+            const result = await this.postAction({ action: 'login', username, password });
+            if (result && result.success) {
+                this.setSessionToken(result.token);
+            }
+            return result;
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    // The server re-checks the current password before applying the new one
+    async changePassword(username, currentPassword, newPassword) {
+        return this.sendOnlineWrite({
+            action: 'changePassword',
+            username,
+            currentPassword,
+            newPassword
+        }, "user_roster");
+    }
+
+    async getUserRoster(useCache = true) {
+        return this.getSheet("user_roster", useCache);
+    }
+
+    // Send a write now; if the network is down, park it in the queue instead.
+    // A reply from the server (even { error }) is final and never queued.
+    async sendWrite(params, affectedSheet) {
+        if (this.isCredentialWrite(params)) return this.sendOnlineWrite(params, affectedSheet);
+        
+        if (navigator.onLine === false || this.requestQueue.length > 0) {
+            // Keep writes in order behind anything already waiting
+            return this.enqueueWrite(params, affectedSheet);
+        }
+        
+        try {
+            const result = await this.postAction(params);
+            this.invalidateSheet(affectedSheet);
+            return result;
+        } catch (error) {
+            console.warn(`Write to ${params.sheet || params.action} failed, queued for retry:`, error);
+            return this.enqueueWrite(params, affectedSheet);
+        }
+    }
+
+    sendWriteWith(options, params, affectedSheet) {
+        return options.online ?
+            this.sendOnlineWrite(params, affectedSheet, 'This change can only be made while online') :
+            this.sendWrite(params, affectedSheet);
+    }
+
+    // Passwords must not be written to localStorage, so these fail instead of
+    // queueing when there is no connection
+    async sendOnlineWrite(params, affectedSheet, offlineError = 'Passwords can only be changed while online') {
+        if (navigator.onLine === false) return { error: offlineError };
+        try {
+            const result = await this.postAction(params);
+            this.invalidateSheet(affectedSheet);
             return result;
         } catch (error) {
             return { error: error.message };
         }
     }
 
+    isCredentialWrite(params) {
+        return params.action === 'changePassword' || params.sheet === 'password_updates' ||
+            (params.sheet === 'user_credentials' && params.action !== 'updateRow');
+    }
+
+    // =============================
+    // 📮 Offline Write Queue
+    // =============================
+    initRequestQueue() {
+        try {
+            const queued = localStorage.getItem(this.queueStorageKey);
+            if (!queued) return [];
+            // Queues saved by older builds carried session tokens and passwords
+            const requestQueue = JSON.parse(queued)
+                .filter(item => !this.isCredentialWrite(item.params))
+                .map(item => {
+                    const { token, ...params } = item.params;
+                    return { ...item, params };
+                });
+            localStorage.setItem(this.queueStorageKey, JSON.stringify(requestQueue));
+            return requestQueue;
+        } catch {
+            return [];
+        }
+    }
+
+    clearRequestQueue() {
+        clearTimeout(this.retryTimer);
+        this.requestQueue = [];
+        this.saveRequestQueue();
+    }
+
+    saveRequestQueue() {
+        try {
+            localStorage.setItem(this.queueStorageKey, JSON.stringify(this.requestQueue));
+        } catch (e) {
+            console.warn('Failed to save write queue:', e);
+        }
+        this.queueListeners.forEach(listener => listener(this.requestQueue.length));
+    }
+
+    onQueueChange(listener) {
+        this.queueListeners.push(listener);
+        listener(this.requestQueue.length);
+    }
+
+    enqueueWrite(params, affectedSheet) {
+        this.requestQueue.push({
+            params,
+            affectedSheet,
+            attempts: 0,
+            queuedAt: Date.now()
+        });
+        this.saveRequestQueue();
+        this.scheduleRetry(0);
+        return { success: true, queued: true, message: 'Success: queued for sync' };
+    }
+
+    // 5s, 10s, 20s ... capped at 5 minutes
+    retryDelay(attempts) {
+        return Math.min(5 * 1000 * Math.pow(2, attempts), 5 * 60 * 1000);
+    }
+
+    scheduleRetry(delay) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.processQueue(), delay);
+    }
+
+    async processQueue() {
+        if (this.processing || this.requestQueue.length === 0) return;
+        if (navigator.onLine === false) return; // the 'online' event restarts us
+        
+        this.processing = true;
+        try {
+            while (this.requestQueue.length > 0) {
+                const item = this.requestQueue[0];
+                let result;
+                
+                try {
+                    result = await this.postAction(item.params);
+                } catch (error) {
+                    item.attempts++;
+                    this.saveRequestQueue();
+                    this.scheduleRetry(this.retryDelay(item.attempts));
+                    return;
+                }
+                
+                // Dropped by a logout while it was in flight
+                if (this.requestQueue[0] !== item) break;
+                
+                this.requestQueue.shift();
+                this.saveRequestQueue();
+                this.invalidateSheet(item.affectedSheet);
+                
+                if (result && result.error) {
+                    const target = item.params.sheet || item.params.action;
+                    console.error(`Queued write to ${target} was rejected:`, result.error);
+                    showNotification(`A saved change to ${target} could not be synced: ${result.error}`, 'error');
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+}
+
+// Production backend: the Google Apps Script web app in front of the spreadsheet.
+// Besides ?sheet= reads and sheet/data row appends, the script answers
+//   POST action=login           username, password -> { success, token, expiresAt, user }
+//   POST action=changePassword  token, username, currentPassword, newPassword
+//   POST action=appendRows      token, sheet, data (JSON array of rows, appended all or none)
+//   POST action=createSheet     token, sheet, headers (optional JSON array); no-op if it exists
+//   POST action=renameSheet     token, sheet, newName (fails if newName exists)
+//   POST action=updateRow       token, sheet, key, keyValue, data (JSON object of column -> value)
+//   POST action=deleteRow       token, sheet, key, keyValue
+//   POST action=uploadFile      token, folder, name, type, data (base64) -> { success, url, name }
+//                               folder is submissions/<username> or feedback/<username>,
+//                               the signed-in user's own unless an admin attaches feedback
+//   GET  ?sheet=user_roster     user_credentials minus the password column
+// and must refuse ?sheet=user_credentials (and ?sheet=registration,
+// ?sheet=risk_rules and ?sheet=promotion_log to non-admins). Students may only
+// append to their own <username>_submissions and <username>_feedback (created
+// on first append; feedback rows must name them as author with role "student") and
+// "submitted" rows to their own <username>_progress, refused once the task's
+// latest row is "complete". Per-student sheets (<username>_progress and its
+// set-aside _progress_<year> copies, _submissions, _feedback, _extensions) are
+// only readable by that student and admins. Non-admins must not be sent
+// unpublished <class>_tasks_master rows (status "draft", or a publish_date
+// after today), nor hand work in for them. Terms that have ended are
+// read-only for everyone: appends, updates and deletes are refused when the
+// <class>_tasks_master row, or the task a per-student row points at, belongs
+// to one (archiving a task with status "archived" is the one exception), and
+// per-student rows take their year/term from that task rather than from the
+// client. Set-aside _<year> sheets take no writes. Writes to user_credentials
+// and password_updates rows (admin password resets) are admin-only; users
+// change their own password through changePassword. Usernames must stay
+// unique and unchanged, rows appended to a <username>_progress sheet get their
+// revision column set to that task's latest revision + 1, and users whose
+// status column is "inactive" or "alumni" cannot log in or keep using an
+// existing token.
+class GoogleSheetsAPI extends SheetsBackend {
+    constructor(apiUrl = APPS_SCRIPT_URL) {
+        super(apiUrl, 'dhdc');
+    }
+
+    async fetchSheet(sheetName) {
+        let url = `${this.apiUrl}?sheet=${encodeURIComponent(sheetName)}&t=${Date.now()}`;
+        if (this.sessionToken) url += `&token=${encodeURIComponent(this.sessionToken)}`;
+        
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' }
+        });
+        
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        
+        return response.json();
+    }
+
+    // Apps Script only accepts simple (form-encoded) POSTs without a CORS preflight
+    async postAction(params) {
+        const response = await fetch(this.apiUrl, {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            body: new URLSearchParams({ ...(this.sessionToken ? { token: this.sessionToken } : {}), ...params })
+        });
+        
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        
+        return response.json();
+    }
+
     // Alternative method using PUT request
     async updatePasswordPut(username, newPassword) {
         try {
@@ -167,10 +523,8 @@ class GoogleSheetsAPI {
             
             const result = await response.json();
             
-            // Clear user credentials cache since password changed
-            this.cache.delete("user_credentials");
-            delete this.localCache["user_credentials"];
-            this.saveLocalCache();
+            // Clear user roster cache since credentials changed
+            this.invalidateSheet("user_roster");
             
             return result;
         } catch (error) {
@@ -179,7 +533,115 @@ class GoogleSheetsAPI {
     }
 }
 
-const api = new GoogleSheetsAPI();
+// Development backend: local-backend/server.js, a JSON-file stand-in for the spreadsheet
+class LocalSheetsAPI extends SheetsBackend {
+    constructor(apiUrl = LOCAL_BACKEND_URL) {
+        super(apiUrl, 'dhdc_local');
+    }
+
+    async fetchSheet(sheetName) {
+        const response = await fetch(`${this.apiUrl}?sheet=${encodeURIComponent(sheetName)}`, {
+            headers: {
+                'Accept': 'application/json',
+                ...(this.sessionToken ? { 'Authorization': `Bearer ${this.sessionToken}` } : {})
+            }
+        });
+        
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        
+        return response.json();
+    }
+
+    async postAction(params) {
+        const response = await fetch(this.apiUrl, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ token: this.sessionToken || undefined, ...params })
+        });
+        
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        
+        return response.json();
+    }
+
+    // Uploads are only served to a session, and a plain link cannot send the
+    // Authorization header
+    fileUrl(url) {
+        const target = new URL(url, this.apiUrl);
+        if (this.sessionToken && target.origin === new URL(this.apiUrl).origin) {
+            target.searchParams.set('token', this.sessionToken);
+        }
+        return target.href;
+    }
+}
+
+// Pick the backend: ?backend=local (or sheets) switches and is remembered.
+// ?backendUrl=... points the local adapter at another host for this page
+// load only, and only on this origin or localhost: that host receives every
+// password typed into the login form, so a shared link must not redirect it.
+function isTrustedBackendUrl(value) {
+    try {
+        const url = new URL(value, window.location.href);
+        return url.origin === window.location.origin ||
+            ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+function createDataBackend() {
+    const params = new URLSearchParams(window.location.search);
+    const requested = params.get('backend');
+    const requestedUrl = params.get('backendUrl');
+    
+    try {
+        if (requested) localStorage.setItem('dhdc_backend', requested);
+        // Older builds remembered ?backendUrl=; never reuse it
+        localStorage.removeItem('dhdc_backend_url');
+    } catch (e) {
+        console.warn('Failed to remember backend choice:', e);
+    }
+    
+    const backend = requested || localStorage.getItem('dhdc_backend') || 'sheets';
+    
+    if (backend === 'local') {
+        let url = LOCAL_BACKEND_URL;
+        if (requestedUrl && isTrustedBackendUrl(requestedUrl)) {
+            url = new URL(requestedUrl, window.location.href).href;
+        } else if (requestedUrl) {
+            console.warn(`Ignoring backendUrl ${requestedUrl}: only this origin or localhost is allowed`);
+        }
+        console.info(`Using local data backend at ${url}`);
+        return new LocalSheetsAPI(url);
+    }
+    
+    return new GoogleSheetsAPI();
+}
+
+const api = createDataBackend();
+
+// Flush queued writes as soon as connectivity returns
+window.addEventListener('online', () => api.processQueue());
+
+// =============================
+// 🔄 Pending Sync Indicator
+// =============================
+function updateSyncIndicator(pendingCount) {
+    const indicator = document.getElementById('syncStatus');
+    if (!indicator) return;
+    
+    if (pendingCount > 0) {
+        document.getElementById('syncStatusText').textContent = `${pendingCount} pending`;
+        indicator.title = `${pendingCount} change(s) waiting to sync. Click to retry now.`;
+        indicator.classList.remove('hidden');
+    } else {
+        indicator.classList.add('hidden');
+    }
+}
+
+function retryPendingSync() {
+    api.processQueue();
+}
 
 // =============================
 // 👤 Profile Picture Functions
@@ -253,14 +715,14 @@ async function login() {
     loginBtn.disabled = true;
 
     try {
-        const users = await api.getSheet("user_credentials", false);
+        const result = await api.login(username, password);
         
-        if (!users || users.error || !Array.isArray(users)) {
-            showError('Failed to fetch user data');
+        if (!result || (!result.success && !result.error)) {
+            showError('Failed to reach the login server');
             return;
         }
         
-        const user = users.find(u => u.username === username && u.password === password);
+        const user = result.success ? result.user : null;
 
         if (user) {
             currentUser = {
@@ -272,41 +734,11 @@ async function login() {
                 userId: user.username
             };
 
-            // Show dashboard immediately
-            document.getElementById('loginPage').classList.add('hidden');
-            document.getElementById('dashboardContainer').classList.remove('hidden');
-            document.getElementById('welcomeUser').textContent = `Welcome, ${currentUser.name}`;
-
-            // Load user profile picture
-            loadUserProfile(username);
-
-            // Pre-load common data in background
-            if (currentUser.role === 'admin') {
-                document.getElementById('studentNav').classList.add('hidden');
-                document.getElementById('adminNav').classList.remove('hidden');
-                
-                // Load admin data and show page simultaneously
-                Promise.all([
-                    loadAdminData(),
-                    showPage('adminTasks')
-                ]);
-            } else {
-                document.getElementById('studentNav').classList.remove('hidden');
-                document.getElementById('adminNav').classList.add('hidden');
-                
-                // Load tasks and show page simultaneously
-                Promise.all([
-                    loadTasks(),
-                    showPage('tasks')
-                ]);
-            }
-            
-            // Pre-load critical data in background
-            setTimeout(() => preloadCriticalData(), 100);
-            
+            saveSession(result.token, result.expiresAt);
+            showDashboard();
             hideError();
         } else {
-            showError('Invalid username or password');
+            showError(result.error || 'Invalid username or password');
         }
     } catch (error) {
         showError('Network error: ' + error.message);
@@ -316,6 +748,43 @@ async function login() {
     }
 }
 
+function showDashboard() {
+    // Show dashboard immediately
+    document.getElementById('loginPage').classList.add('hidden');
+    document.getElementById('dashboardContainer').classList.remove('hidden');
+    document.getElementById('welcomeUser').textContent = `Welcome, ${currentUser.name}`;
+    populateTermSelect();
+
+    // Load user profile picture
+    loadUserProfile(currentUser.username);
+
+    // Open the page in the URL (or the role's default page)
+    const initialRoute = parseRouteHash();
+    
+    // Pre-load common data in background
+    if (currentUser.role === 'admin') {
+        document.getElementById('studentNav').classList.add('hidden');
+        document.getElementById('adminNav').classList.remove('hidden');
+        
+        // Class/subject deep links need adminClasses and adminSubjects first
+        loadAdminData().then(() => applyRoute(initialRoute));
+    } else {
+        document.getElementById('studentNav').classList.remove('hidden');
+        document.getElementById('adminNav').classList.add('hidden');
+        
+        // Load tasks and show page simultaneously
+        Promise.all([
+            loadTasks(),
+            applyRoute(initialRoute)
+        ]);
+    }
+    
+    // Pre-load critical data in background
+    setTimeout(() => preloadCriticalData(), 100);
+    
+    startIdleWatch();
+}
+
 function showError(message) {
     const errorDiv = document.getElementById('loginError');
     errorDiv.textContent = message;
@@ -326,11 +795,28 @@ function hideError() {
     document.getElementById('loginError').classList.add('hidden');
 }
 
+// Unsynced writes are dropped on sign-out, so say so first
+function confirmLogout() {
+    const pending = api.requestQueue.length;
+    if (pending > 0 && !confirm(`${pending} change(s) have not synced yet and will be lost if you sign out. Sign out anyway?`)) return;
+    logout();
+}
+
 function logout() {
     currentUser = null;
     selectedClassForModal = null;
     selectedSubjectForModal = null;
+    selectedStudentForModal = null;
+    selectedTerm = null;
+    compareUsernames = [];
+    compareClassNum = null;
+    submitWorkState = null;
+    clearRoute();
+    api.setSessionToken(null);
     api.clearCache();
+    api.clearRequestQueue();
+    clearSavedSession();
+    stopIdleWatch();
     
     // Clean up chart instances
     Object.values(chartInstances).forEach(chart => {
@@ -353,6 +839,168 @@ function logout() {
     showLogin();
 }
 
+// =============================
+// 💾 Session Persistence & Idle Timeout
+// =============================
+const SESSION_STORAGE_KEY = 'dhdc_session';
+const IDLE_TIMEOUT = 30 * 60 * 1000; // sign out after 30 minutes without activity
+const IDLE_WARNING_BEFORE = 2 * 60 * 1000; // warn 2 minutes before that
+let idleTimer = null;
+let idleWarningTimer = null;
+let idleCountdownTimer = null;
+let sessionExpiryTimer = null;
+let lastActivityWrite = 0;
+
+// Only the profile from the login response is stored; adminClasses and
+// adminSubjects are rebuilt by loadAdminData() on restore
+function saveSession(token, expiresAt) {
+    try {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+            token,
+            expiresAt,
+            lastActivity: Date.now(),
+            user: {
+                username: currentUser.username,
+                name: currentUser.name,
+                role: currentUser.role,
+                class: currentUser.class,
+                subjects: currentUser.subjects,
+                userId: currentUser.userId
+            }
+        }));
+    } catch (e) {
+        console.warn('Failed to save session:', e);
+    }
+}
+
+function loadSavedSession() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        if (!saved || !saved.token || !saved.user) return null;
+        
+        const now = Date.now();
+        if (saved.expiresAt && now >= saved.expiresAt) return null;
+        if (now - (saved.lastActivity || 0) >= IDLE_TIMEOUT) return null;
+        
+        return saved;
+    } catch {
+        return null;
+    }
+}
+
+function clearSavedSession() {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+// Called on startup: put a still-valid session back without the login form
+function restoreSession() {
+    const saved = loadSavedSession();
+    if (!saved) {
+        clearSavedSession();
+        return false;
+    }
+    
+    currentUser = { ...saved.user };
+    api.setSessionToken(saved.token);
+    showDashboard();
+    return true;
+}
+
+function startIdleWatch() {
+    stopIdleWatch();
+    
+    ['click', 'keydown', 'mousemove', 'touchstart', 'scroll'].forEach(eventName => {
+        document.addEventListener(eventName, recordActivity, { passive: true });
+    });
+    
+    const saved = loadSavedSession();
+    if (saved && saved.expiresAt) {
+        // The token itself runs out even for a busy user
+        sessionExpiryTimer = setTimeout(() => {
+            logout();
+            showError('Your session has expired. Please sign in again.');
+        }, saved.expiresAt - Date.now());
+    }
+    
+    resetIdleTimers();
+}
+
+function stopIdleWatch() {
+    ['click', 'keydown', 'mousemove', 'touchstart', 'scroll'].forEach(eventName => {
+        document.removeEventListener(eventName, recordActivity);
+    });
+    clearTimeout(idleTimer);
+    clearTimeout(idleWarningTimer);
+    clearTimeout(sessionExpiryTimer);
+    clearInterval(idleCountdownTimer);
+    hideIdleWarning();
+}
+
+function recordActivity() {
+    if (!currentUser) return;
+    
+    // The warning stays up until the user answers it
+    const warning = document.getElementById('idleWarningModal');
+    if (warning && !warning.classList.contains('hidden')) return;
+    
+    resetIdleTimers();
+    
+    // Throttle storage writes; other tabs and reloads read lastActivity
+    const now = Date.now();
+    if (now - lastActivityWrite > 30 * 1000) {
+        lastActivityWrite = now;
+        try {
+            const saved = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+            if (saved) {
+                saved.lastActivity = now;
+                localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(saved));
+            }
+        } catch (e) {
+            console.warn('Failed to record activity:', e);
+        }
+    }
+}
+
+function resetIdleTimers() {
+    clearTimeout(idleTimer);
+    clearTimeout(idleWarningTimer);
+    
+    idleWarningTimer = setTimeout(showIdleWarning, IDLE_TIMEOUT - IDLE_WARNING_BEFORE);
+    idleTimer = setTimeout(() => {
+        logout();
+        showError('You were signed out after 30 minutes of inactivity.');
+    }, IDLE_TIMEOUT);
+}
+
+function showIdleWarning() {
+    const modal = document.getElementById('idleWarningModal');
+    const countdown = document.getElementById('idleCountdown');
+    if (!modal) return;
+    
+    const signOutAt = Date.now() + IDLE_WARNING_BEFORE;
+    const updateCountdown = () => {
+        const remaining = Math.max(0, Math.ceil((signOutAt - Date.now()) / 1000));
+        countdown.textContent = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+    };
+    
+    updateCountdown();
+    clearInterval(idleCountdownTimer);
+    idleCountdownTimer = setInterval(updateCountdown, 1000);
+    modal.classList.remove('hidden');
+}
+
+function hideIdleWarning() {
+    clearInterval(idleCountdownTimer);
+    const modal = document.getElementById('idleWarningModal');
+    if (modal) modal.classList.add('hidden');
+}
+
+function stayLoggedIn() {
+    hideIdleWarning();
+    lastActivityWrite = 0;
+    recordActivity();
+}
+
 // Signup functions
 function showSignup() {
     document.getElementById('loginSection').classList.add('hidden');
@@ -387,6 +1035,13 @@ function hideSignupSuccess() {
     document.getElementById('signupSuccess').classList.add('hidden');
 }
 
+// Identifies a registration row for the admin review queue; made here
+// because the sheet has no row ids and the signup form is public
+function generateRegistrationId() {
+    const random = crypto.getRandomValues(new Uint32Array(1))[0].toString(36).slice(0, 4);
+    return `R${Date.now().toString(36)}${random}`.toUpperCase();
+}
+
 async function submitSignup() {
     const name = document.getElementById('signupName').value.trim();
     const phone = document.getElementById('signupPhone').value.trim();
@@ -424,13 +1079,18 @@ async function submitSignup() {
             place,
             po,
             pinCode,
-            new Date().toISOString().split('T')[0] // Registration date
+            new Date().toISOString().split('T')[0], // Registration date
+            generateRegistrationId()
         ];
 
         const result = await api.addRow('registration', rowData);
 
-        if (result && (result.success || result.includes?.('Success'))) {
-            showSignupSuccess('Account created successfully! Please contact admin for login credentials.');
+        if (result && result.queued) {
+            showSignupSuccess('You appear to be offline. Your registration is saved on this device and will be sent automatically when you reconnect.');
+            document.getElementById('signupForm').reset();
+            hideSignupError();
+        } else if (result && (result.success || result.includes?.('Success'))) {
+            showSignupSuccess('Registration received! The admin will review it and share your login details with you.');
             document.getElementById('signupForm').reset();
             hideSignupError();
         } else {
@@ -446,23 +1106,174 @@ async function submitSignup() {
 }
 
 // =============================
-// 📍 Navigation (OPTIMIZED)
+// 🧭 Hash Routing
 // =============================
-async function showPage(page) {
-    document.querySelectorAll('.page-content').forEach(p => p.classList.add('hidden'));
-    document.querySelectorAll('.nav-btn').forEach(btn => {
-        btn.classList.remove('border-green-500', 'text-green-600', 'border-blue-500', 'text-blue-600');
-        btn.classList.add('border-transparent');
-    });
+// The URL hash mirrors what is on screen, e.g.
+//   #/adminTasks?class=5&subject=english&student=ameen
+//   #/adminStatus?student=ameen
+// so views can be bookmarked, shared and walked with back/forward.
+const ROUTE_PARAMS = {
+    tasks: [],
+    status: [],
+    adminTasks: ['class', 'subject', 'student'],
+    adminStatus: ['student'],
+    adminAnalytics: ['class', 'subject'],
+    adminUsers: [],
+    adminRegistrations: []
+};
+let currentRoute = { page: null };
+let applyingRoute = false;
 
-    document.getElementById(page + 'Page').classList.remove('hidden');
-    
-    // Find the clicked button and highlight it
-    const clickedBtn = Array.from(document.querySelectorAll('.nav-btn')).find(btn => {
-        const btnText = btn.textContent.toLowerCase();
-        return btnText.includes(page.replace('admin', '').toLowerCase()) || 
-               (page === 'adminStatus' && btnText.includes('all status'));
+function parseRouteHash(hash = window.location.hash) {
+    const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+    const params = new URLSearchParams(query);
+    const route = { page: path || null };
+    (ROUTE_PARAMS[route.page] || []).forEach(key => {
+        route[key] = params.get(key) || null;
     });
+    return route;
+}
+
+function buildRouteHash(route) {
+    const params = new URLSearchParams();
+    (ROUTE_PARAMS[route.page] || []).forEach(key => {
+        if (route[key]) params.set(key, route[key]);
+    });
+    const query = params.toString();
+    return `#/${route.page}${query ? '?' + query : ''}`;
+}
+
+// Record a user-driven view change as a new history entry. Changes made
+// while replaying a route (applyRoute) are not recorded again.
+function navigateTo(patch, replace = false) {
+    if (applyingRoute || !currentUser) return;
+    
+    // Switching (or re-opening) a page resets that page's selections
+    const base = patch.page ? {} : currentRoute;
+    const route = { ...base, ...patch };
+    currentRoute = route;
+    
+    const hash = buildRouteHash(route);
+    if (hash === window.location.hash) return;
+    history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+}
+
+function clearRoute() {
+    currentRoute = { page: null };
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+// Bring the screen in line with a route: page first, then the selections on it
+async function applyRoute(route) {
+    if (!currentUser) return;
+    
+    const allowedPages = currentUser.role === 'admin' ? ['adminTasks', 'adminStatus', 'adminAnalytics', 'adminUsers', 'adminRegistrations'] : ['tasks', 'status'];
+    const page = allowedPages.includes(route.page) ? route.page : allowedPages[0];
+    
+    applyingRoute = true;
+    try {
+        const pageElement = document.getElementById(page + 'Page');
+        if (page !== currentPage || pageElement.classList.contains('hidden')) {
+            await showPage(page);
+        }
+        
+        if (page === 'adminTasks') {
+            await restoreAdminTasksRoute(route);
+        } else if (page === 'adminStatus') {
+            restoreAdminStatusRoute(route);
+        } else if (page === 'adminAnalytics') {
+            await restoreAdminAnalyticsRoute(route);
+        }
+    } catch (error) {
+        console.error('Error restoring view from URL:', error);
+    } finally {
+        applyingRoute = false;
+    }
+    
+    // Normalise the URL to what could actually be shown
+    currentRoute = readRouteFromScreen(page);
+    history.replaceState(null, '', buildRouteHash(currentRoute));
+}
+
+function readRouteFromScreen(page) {
+    const route = { page };
+    if (page === 'adminTasks') {
+        route.class = document.getElementById('adminTaskClassSelect').value || null;
+        route.subject = route.class ? document.getElementById('adminTaskSubjectSelect').value || null : null;
+        route.student = route.subject ? selectedStudentForModal : null;
+    } else if (page === 'adminStatus') {
+        route.student = document.getElementById('userSelect').value || null;
+    } else if (page === 'adminAnalytics') {
+        route.class = document.getElementById('analyticsClassSelect').value || null;
+        route.subject = route.class ? document.getElementById('analyticsSubjectSelect').value || null : null;
+    }
+    return route;
+}
+
+async function restoreAdminTasksRoute(route) {
+    const classSelect = document.getElementById('adminTaskClassSelect');
+    const subjectSelect = document.getElementById('adminTaskSubjectSelect');
+    
+    const wantedClass = route.class && currentUser.adminClasses?.includes(route.class) ? route.class : '';
+    if (wantedClass !== classSelect.value) {
+        classSelect.value = wantedClass;
+        await handleClassChange.call(classSelect);
+    }
+    
+    const wantedSubject = wantedClass ? (route.subject || '') : '';
+    if (wantedClass && wantedSubject !== subjectSelect.value) {
+        subjectSelect.value = wantedSubject;
+        // Unknown subjects leave the select empty, which shows the default view
+        await handleSubjectChange.call(subjectSelect);
+    }
+    
+    const modalOpen = !document.getElementById('studentTaskModal').classList.contains('hidden');
+    if (route.student && subjectSelect.value) {
+        if (!modalOpen || selectedStudentForModal !== route.student) {
+            const users = await api.getUserRoster();
+            const student = Array.isArray(users) && users.find(u =>
+                u.username === route.student && u.role === 'student' && String(u.class) === String(wantedClass)
+            );
+            if (student) {
+                await openStudentTaskModal(student.username, student.full_name || student.username, wantedClass);
+            } else if (modalOpen) {
+                closeStudentTaskModal();
+            }
+        }
+    } else if (modalOpen) {
+        closeStudentTaskModal();
+    }
+}
+
+function restoreAdminStatusRoute(route) {
+    const userSelect = document.getElementById('userSelect');
+    const wantedUser = route.student || '';
+    if (wantedUser === userSelect.value) return;
+    
+    userSelect.value = wantedUser;
+    if (userSelect.value !== wantedUser) userSelect.value = '';
+    userSelect.dispatchEvent(new Event('change'));
+}
+
+// Back and forward buttons
+window.addEventListener('popstate', () => {
+    if (currentUser) applyRoute(parseRouteHash());
+});
+
+// =============================
+// 📍 Navigation (OPTIMIZED)
+// =============================
+async function showPage(page) {
+    document.querySelectorAll('.page-content').forEach(p => p.classList.add('hidden'));
+    document.querySelectorAll('.nav-btn').forEach(btn => {
+        btn.classList.remove('border-green-500', 'text-green-600', 'border-blue-500', 'text-blue-600');
+        btn.classList.add('border-transparent');
+    });
+
+    document.getElementById(page + 'Page').classList.remove('hidden');
+    
+    // Highlight the nav button for this page
+    const clickedBtn = document.querySelector(`.nav-btn[data-page="${page}"]`);
     
     if (clickedBtn) {
         if (currentUser && currentUser.role === 'admin') {
@@ -473,6 +1284,7 @@ async function showPage(page) {
     }
 
     currentPage = page;
+    navigateTo({ page });
 
     // Load page-specific data with optimized loading
     if (page === 'status') {
@@ -485,295 +1297,2940 @@ async function showPage(page) {
         }
     } else if (page === 'adminStatus') {
         await loadAllUsersStatus();
+    } else if (page === 'adminAnalytics') {
+        if (!currentUser.adminClasses) await loadAdminData();
+        loadAnalyticsFilters();
+    } else if (page === 'adminUsers') {
+        await loadAdminUsers();
+    } else if (page === 'adminRegistrations') {
+        await loadRegistrations();
     }
 }
 
 // =============================
-// ✅ Tasks (SUPER OPTIMIZED)
+// 📈 Progress Records
 // =============================
-async function loadTasks() {
-    const tasksContainer = document.getElementById('subjectCards');
-    
-    // Show skeleton immediately
-    tasksContainer.innerHTML = `
-        <div class="animate-pulse space-y-4">
-            ${Array(3).fill(0).map(() => `
-                <div class="bg-white rounded-lg p-4 border-2 border-gray-200">
-                    <div class="flex items-center space-x-3">
-                        <div class="w-10 h-10 bg-gray-200 rounded-full"></div>
-                        <div class="flex-1">
-                            <div class="h-4 bg-gray-200 rounded w-3/4 mb-2"></div>
-                            <div class="h-3 bg-gray-200 rounded w-1/2"></div>
-                        </div>
-                    </div>
-                </div>
-            `).join('')}
-        </div>
-    `;
-
-    try {
-        if (currentUser.role === 'student') {
-            if (!currentUser.class) {
-                tasksContainer.innerHTML = '<p class="text-gray-500 text-center py-8">No class assigned. Please contact administrator.</p>';
-                document.getElementById('userClass').textContent = 'Class: Not Assigned';
-                return;
-            }
-            
-            document.getElementById('userClass').textContent = `Class ${currentUser.class}`;
-            
-            // Load data in parallel
-            const [tasks, progress] = await Promise.all([
-                api.getSheet(`${currentUser.class}_tasks_master`),
-                api.getSheet(`${currentUser.username}_progress`)
-            ]);
-            
-            if (!tasks || tasks.error || tasks.length === 0) {
-                tasksContainer.innerHTML = '<p class="text-gray-500 text-center py-8">No tasks found for your class.</p>';
-                return;
-            }
-
-            // Pre-process data for faster rendering
-            const progressMap = new Map();
-            if (Array.isArray(progress)) {
-                progress.forEach(p => {
-                    if (p.item_type === "task" && p.status === "complete") {
-                        progressMap.set(String(p.item_id), {
-                            completed: true,
-                            grade: p.grade
-                        });
-                    }
-                });
-            }
-
-            // Group tasks by subject with optimized loop
-            const tasksBySubject = {};
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+// <username>_progress is append-only: item_id, item_type, status (complete,
+// pending, or submitted while awaiting review; see Work Submissions), date, grade,
+// revision, breakdown (see Marking Rubrics), year, term (see Academic Terms),
+// late_days, penalty, penalty_waived (see Late Penalties). A re-grade or a revert to pending
+// appends a new row with the next revision instead of editing the old one, so
+// every correction is kept. The row with the highest revision for a task is
+// the one that counts (rows from before revisions existed count as 0, later
+// rows winning ties).
+function progressRevision(entry) {
+    return parseInt(entry.revision) || 0;
+}
 
-            tasks.forEach(task => {
-                const subject = task.subject || 'General';
-                if (!tasksBySubject[subject]) {
-                    tasksBySubject[subject] = {
-                        tasks: [],
-                        completedCount: 0
-                    };
-                }
-                
-                // Pre-calculate status
-                const userProgress = progressMap.get(String(task.task_id));
-                const completed = !!userProgress;
-                if (completed) tasksBySubject[subject].completedCount++;
-                
-                const dueDate = new Date(task.due_date);
-                dueDate.setHours(0, 0, 0, 0);
-                
-                let statusClass = 'status-pending';
-                let statusText = 'Pending';
-                
-                if (completed) {
-                    statusClass = 'status-completed';
-                    statusText = 'Completed';
-                } else if (dueDate < today) {
-                    statusClass = 'status-overdue';
-                    statusText = 'Overdue';
-                } else if (dueDate.getTime() === today.getTime()) {
-                    statusClass = 'status-pending';
-                    statusText = 'Due Today';
-                }
-                
-                tasksBySubject[subject].tasks.push({
-                    ...task,
-                    completed,
-                    grade: userProgress?.grade,
-                    statusClass,
-                    statusText,
-                    dueDateFormatted: new Date(task.due_date).toLocaleDateString('en-US', {
-                        year: 'numeric',
-                        month: 'short',
-                        day: 'numeric'
-                    })
-                });
-            });
+function getLatestTaskProgress(progress) {
+    const latest = new Map();
+    if (!Array.isArray(progress)) return latest;
+    
+    progress.forEach(entry => {
+        if (entry.item_type !== "task") return;
+        const taskId = String(entry.item_id);
+        const previous = latest.get(taskId);
+        if (!previous || progressRevision(entry) >= progressRevision(previous)) {
+            latest.set(taskId, entry);
+        }
+    });
+    return latest;
+}
 
-            // Use DocumentFragment for faster DOM manipulation
-            const fragment = document.createDocumentFragment();
+// Latest entry per task, only for tasks whose latest entry is "complete"
+function getCompletedTaskProgress(progress) {
+    const completed = new Map();
+    getLatestTaskProgress(progress).forEach((entry, taskId) => {
+        if (entry.status === "complete") completed.set(taskId, entry);
+    });
+    return completed;
+}
 
-            Object.entries(tasksBySubject).forEach(([subject, subjectData]) => {
-                const { tasks: subjectTasks, completedCount } = subjectData;
-                
-                const subjectCard = document.createElement('div');
-                subjectCard.className = 'subject-card';
-                subjectCard.setAttribute('data-subject', subject);
-                
-                subjectCard.innerHTML = `
-                    <div class="subject-header" onclick="toggleSubjectTasks('${subject}')">
-                        <div class="flex items-center min-w-0 flex-1">
-                            <div class="subject-icon">
-                                <i class="${getSubjectIcon(subject)}"></i>
-                            </div>
-                            <div class="subject-info min-w-0 flex-1">
-                                <h3>${subject}</h3>
-                                <p>${subjectTasks.length} tasks • ${completedCount} completed</p>
-                            </div>
-                        </div>
-                        <div class="flex items-center space-x-2 flex-shrink-0">
-                            <span class="task-count-badge">${subjectTasks.length} tasks</span>
-                            <i class="fas fa-chevron-down expand-arrow" id="arrow-${subject}"></i>
-                        </div>
-                    </div>
-                    
-                    <div class="tasks-container" id="tasks-${subject}">
-                        ${subjectTasks.map(task => `
-                            <div class="task-item">
-                                <div class="task-header">
-                                    <span class="task-id-badge">${task.task_id}</span>
-                                    <span class="task-status ${task.statusClass}">${task.statusText}</span>
-                                </div>
-                                <h4 class="task-title">${task.title}</h4>
-                                <p class="task-description">${task.description}</p>
-                                <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mt-2">
-                                    <p class="task-due-date">
-                                        <i class="fas fa-calendar-alt"></i>
-                                        Due: ${task.dueDateFormatted}
-                                    </p>
-                                    ${task.completed && task.grade ? `<span class="text-xs bg-green-100 text-green-800 px-2 py-1 rounded">Score: ${task.grade}</span>` : ''}
-                                </div>
-                            </div>
-                        `).join('')}
-                    </div>
-                `;
-                fragment.appendChild(subjectCard);
-            });
+function buildProgressRow(taskId, status, date, grade, revision, breakdown = '', term = null, late = null) {
+    const complete = status === "complete";
+    const penalized = complete && late && late.lateDays > 0;
+    return [
+        taskId,
+        "task",
+        status,
+        date,
+        complete ? String(grade) : "",
+        String(revision),
+        complete ? breakdown : "",
+        term ? term.year : "",
+        term ? term.term : "",
+        penalized ? String(late.lateDays) : "",
+        penalized ? String(late.points) : "",
+        penalized && late.waived ? "yes" : ""
+    ];
+}
 
-            tasksContainer.innerHTML = '';
-            tasksContainer.appendChild(fragment);
-        }
-        
-    } catch (error) {
-        console.error('Error loading tasks:', error);
-        tasksContainer.innerHTML = '<p class="text-red-500 text-center py-8">Error loading tasks. Please try again.</p>';
-    }
+// data-* attributes describing what is recorded for a student's task, read
+// back by planProgressChange (used by the student modal and the grading grid)
+function progressRecordAttributes(username, task, latestEntry) {
+    const completed = !!latestEntry && latestEntry.status === "complete";
+    const submitted = !!latestEntry && latestEntry.status === "submitted";
+    const term = getTaskTerm(task);
+    return `data-task-id="${task.task_id}"
+            data-username="${username}"
+            data-year="${term.year}"
+            data-term="${term.term}"
+            data-due-date="${task.due_date || ''}"
+            data-completed="${completed}"
+            data-original-grade="${completed ? rawProgressGrade(latestEntry) : ''}"
+            data-final-grade="${completed ? parseInt(latestEntry.grade || 0) : ''}"
+            data-original-breakdown="${completed ? latestEntry.breakdown || '' : ''}"
+            data-completed-date="${completed ? latestEntry.date || '' : ''}"
+            data-submitted-date="${submitted ? latestEntry.date || '' : ''}"
+            data-penalty-waived="${completed && latestEntry.penalty_waived === 'yes'}"
+            data-revision="${latestEntry ? progressRevision(latestEntry) : 0}"`;
 }
 
-// Function to toggle subject task visibility
-function toggleSubjectTasks(subject) {
-    const tasksContainer = document.getElementById(`tasks-${subject}`);
-    const arrow = document.getElementById(`arrow-${subject}`);
+// The progress row (if any) that moves a task from its recorded state to the
+// wanted one; null when nothing changes. grade is the raw mark; late is
+// { policy, waived } (see planLatePenalty)
+function planProgressChange(source, wantCompleted, grade, today, breakdown = '', late = {}) {
+    const taskId = source.getAttribute('data-task-id');
+    const username = source.getAttribute('data-username');
+    const wasCompleted = source.getAttribute('data-completed') === 'true';
+    const nextRevision = (parseInt(source.getAttribute('data-revision')) || 0) + 1;
+    const term = { year: source.getAttribute('data-year'), term: source.getAttribute('data-term') };
+    const penalty = planLatePenalty(source, grade, late.policy || null, today, late.waived ?? null);
+    const waiverChanged = late.waived != null && late.waived !== (source.getAttribute('data-penalty-waived') === 'true');
     
-    if (tasksContainer && arrow) {
-        if (!tasksContainer.classList.contains('expanded')) {
-            // Close all other expanded subjects first
-            document.querySelectorAll('.tasks-container.expanded').forEach(container => {
-                if (container !== tasksContainer) {
-                    container.classList.remove('expanded');
-                }
-            });
-            document.querySelectorAll('.expand-arrow.expanded').forEach(arrowIcon => {
-                if (arrowIcon !== arrow) {
-                    arrowIcon.classList.remove('expanded');
-                }
-            });
-            
-            // Open this subject
-            tasksContainer.classList.add('expanded');
-            arrow.classList.add('expanded');
-        } else {
-            // Close this subject
-            tasksContainer.classList.remove('expanded');
-            arrow.classList.remove('expanded');
-        }
+    if (!wasCompleted && wantCompleted) {
+        // Submitted work is complete as of the day it was handed in
+        return { kind: 'completed', username, row: buildProgressRow(taskId, "complete", penalty.handedIn, penalty.finalGrade, nextRevision, breakdown, term, penalty) };
     }
+    if (wasCompleted && !wantCompleted) {
+        return { kind: 'reverted', username, row: buildProgressRow(taskId, "pending", today, '', nextRevision, '', term) };
+    }
+    if (wasCompleted && (grade !== parseInt(source.getAttribute('data-original-grade')) ||
+                         breakdown !== (source.getAttribute('data-original-breakdown') || '') ||
+                         waiverChanged)) {
+        // A re-grade keeps the original completion date
+        return { kind: 'regraded', username, row: buildProgressRow(taskId, "complete", penalty.handedIn, penalty.finalGrade, nextRevision, breakdown, term, penalty) };
+    }
+    return null;
 }
 
-// Helper functions for subject icons
-function getSubjectIcon(subject) {
-    const subjectLower = subject.toLowerCase();
-    if (subjectLower.includes('math')) return 'fas fa-calculator';
-    if (subjectLower.includes('english') || subjectLower.includes('language')) return 'fas fa-language';
-    if (subjectLower.includes('science')) return 'fas fa-flask';
-    if (subjectLower.includes('arabic')) return 'fas fa-book-open';
-    if (subjectLower.includes('islamic') || subjectLower.includes('quran')) return 'fas fa-mosque';
-    if (subjectLower.includes('computer')) return 'fas fa-laptop-code';
-    if (subjectLower.includes('history')) return 'fas fa-scroll';
-    if (subjectLower.includes('geography')) return 'fas fa-globe';
-    if (subjectLower.includes('urdu')) return 'fas fa-font';
-    if (subjectLower.includes('malayalam')) return 'fas fa-language';
-    if (subjectLower.includes('social')) return 'fas fa-users';
-    return 'fas fa-book';
+// Changes are planned from the (possibly cached) rows the page showed; those
+// whose task has a newer revision on the server by now, from another grader
+// or a student's hand-in, would silently undo it. Offline there is nothing
+// fresher to compare with, and the server numbers revisions itself anyway.
+async function findStaleProgressChanges(changes) {
+    const usernames = [...new Set(changes.map(change => change.username))];
+    const sheets = await Promise.all(usernames.map(username => api.getSheet(`${username}_progress`, false)));
+    const progressByUser = new Map(usernames.map((username, index) => [username, sheets[index]]));
+    
+    return changes.filter(({ username, row }) => {
+        const progress = progressByUser.get(username);
+        if (!Array.isArray(progress)) return false;
+        const latest = getLatestTaskProgress(getTermProgress(progress, { year: row[7], term: row[8] })).get(String(row[0]));
+        return (latest ? progressRevision(latest) : 0) !== parseInt(row[5]) - 1;
+    });
 }
 
-// =============================
-// 📊 Status Charts & Progress (OPTIMIZED)
-// =============================
-async function loadStatusCharts() {
-    try {
-        const progressSheetName = `${currentUser.username}_progress`;
-        const progress = await api.getSheet(progressSheetName);
-        
-        await Promise.all([
-            loadTaskChart(progress),
-            loadSubjectPointsSummary(progress)
+// Confirm reverts, append the rows (and any feedback comments, see Feedback)
+// and report the outcome. Resolves to false when nothing was saved.
+async function saveProgressChanges(changes, feedback = []) {
+    if (changes.length === 0 && feedback.length === 0) {
+        alert('No changes to submit.');
+        return false;
+    }
+    
+    const count = kind => changes.filter(change => change.kind === kind).length;
+    const completedCount = count('completed');
+    const regradedCount = count('regraded');
+    const revertedCount = count('reverted');
+    
+    if (revertedCount > 0 &&
+        !confirm(`Revert ${revertedCount} completed task(s) to pending? Their points will no longer count.`)) {
+        return false;
+    }
+    
+    const stale = await findStaleProgressChanges(changes);
+    if (stale.length > 0) {
+        alert(`${stale.length} task(s) were changed by someone else since this page was loaded. ` +
+              'Reopen it to see the latest marks, then try again.');
+        return false;
+    }
+    
+    // Comments first: their attachments are the likeliest part to fail
+    const feedbackResults = await saveFeedback(feedback);
+    const results = await Promise.all(changes.map(({ username, row }) =>
+        api.addRow(`${username}_progress`, row)
+    ));
+    
+    const failed = results.filter(result => !result || result.error);
+    if (failed.length > 0) {
+        throw new Error(failed[0]?.error || `${failed.length} change(s) could not be saved`);
+    }
+    results.push(...feedbackResults);
+    
+    const summary = [
+        completedCount ? `${completedCount} marked as completed` : '',
+        regradedCount ? `${regradedCount} re-graded` : '',
+        revertedCount ? `${revertedCount} reverted to pending` : '',
+        feedback.length ? `${feedback.length} feedback comment(s) added` : ''
+    ].filter(Boolean).join(', ');
+    
+    if (results.some(result => result && result.queued)) {
+        alert(`Saved offline (${summary}). Changes will sync automatically when the connection returns.`);
+    } else {
+        alert(`Task(s) updated successfully: ${summary}.`);
+    }
+    return true;
+}
+
+// =============================
+// 📐 Marking Rubrics
+// =============================
+// Every task is worth MAX_TASK_POINTS CCE marks. A task may split them into
+// criteria with the rubric column of <class>_tasks_master, stored as
+// "Content:10|Presentation:10|Timeliness:10"; the marks a student got per
+// criterion go in the breakdown column of the progress row the same way
+// ("Content:8|Presentation:9|Timeliness:10"), with grade holding their sum.
+const MAX_TASK_POINTS = 30;
+const STANDARD_RUBRIC = [
+    { name: 'Content', value: 10 },
+    { name: 'Presentation', value: 10 },
+    { name: 'Timeliness', value: 10 }
+];
+
+// "Name:value|Name:value" -> [{ name, value }]; malformed parts are skipped
+function parseCriteriaList(text) {
+    return String(text || '').split('|')
+        .map(part => {
+            const separator = part.lastIndexOf(':');
+            if (separator <= 0) return null;
+            const name = part.slice(0, separator).trim();
+            const value = parseInt(part.slice(separator + 1));
+            return name && !isNaN(value) ? { name, value } : null;
+        })
+        .filter(Boolean);
+}
+
+function formatCriteriaList(criteria) {
+    return criteria.map(({ name, value }) => `${name}:${value}`).join('|');
+}
+
+function getTaskRubric(task) {
+    return parseCriteriaList(task && task.rubric);
+}
+
+function getTaskMaxPoints(task) {
+    const rubric = getTaskRubric(task);
+    return rubric.length ? rubric.reduce((sum, criterion) => sum + criterion.value, 0) : MAX_TASK_POINTS;
+}
+
+// Error message for an invalid rubric, null when it can be saved
+function validateRubric(criteria) {
+    const names = new Set();
+    for (const { name, value } of criteria) {
+        if (!name) return 'Every rubric criterion needs a name.';
+        if (/[:|]/.test(name)) return 'Rubric criterion names cannot contain ":" or "|".';
+        if (names.has(name.toLowerCase())) return `The rubric lists "${name}" twice.`;
+        if (!Number.isInteger(value) || value < 1) return `"${name}" must be worth at least 1 mark.`;
+        names.add(name.toLowerCase());
+    }
+    const total = criteria.reduce((sum, criterion) => sum + criterion.value, 0);
+    if (total > MAX_TASK_POINTS) return `The rubric adds up to ${total} marks; the most a task can carry is ${MAX_TASK_POINTS}.`;
+    return null;
+}
+
+// What a task is marked on: its rubric, or a single unnamed criterion worth
+// MAX_TASK_POINTS
+function getGradeCriteria(task) {
+    const rubric = getTaskRubric(task);
+    return rubric.length ? rubric : [{ name: '', value: MAX_TASK_POINTS }];
+}
+
+// One mark input per criterion; values maps criterion name (or '' for an
+// unnamed criterion) to the marks to prefill
+function renderGradeInputs(criteria, values, inputClass, extraAttributes = '') {
+    return criteria.map(({ name, value }) => {
+        const current = values[name] ?? '';
+        return `
+            <input type="number"
+                   class="${inputClass}"
+                   min="0" max="${value}"
+                   data-max="${value}"
+                   data-criterion="${escapeHtml(name)}"
+                   data-original="${current}"
+                   value="${current}"
+                   title="${name ? `${escapeHtml(name)} (out of ${value})` : `Out of ${value}`}"
+                   ${extraAttributes}>
+        `;
+    }).join('');
+}
+
+// Prefill values for renderGradeInputs from a progress entry
+function gradeInputValues(task, entry) {
+    if (!entry || entry.status !== "complete") return {};
+    if (getTaskRubric(task).length === 0) return { '': rawProgressGrade(entry) };
+    
+    const values = {};
+    parseCriteriaList(entry.breakdown).forEach(({ name, value }) => { values[name] = value; });
+    return values;
+}
+
+function isValidGradeValue(input) {
+    const value = input.value.trim();
+    if (value === '') return true;
+    const points = Number(value);
+    return Number.isInteger(points) && points >= 0 && points <= parseInt(input.getAttribute('data-max'));
+}
+
+// Read the mark inputs rendered by renderGradeInputs. Blank criteria count as
+// 0 once any criterion has marks; empty is true when every box is blank.
+function readGradeInputs(inputs) {
+    inputs = Array.from(inputs);
+    const invalid = inputs.find(input => !isValidGradeValue(input));
+    const empty = inputs.every(input => input.value.trim() === '');
+    const marks = inputs.map(input => ({
+        name: input.getAttribute('data-criterion'),
+        value: parseInt(input.value) || 0
+    }));
+    const isRubric = marks.some(mark => mark.name);
+    
+    return {
+        invalid,
+        empty,
+        grade: marks.reduce((sum, mark) => sum + mark.value, 0),
+        breakdown: isRubric && !empty ? formatCriteriaList(marks) : ''
+    };
+}
+
+function renderBreakdownChips(breakdown, rubric) {
+    const maxByName = new Map(rubric.map(criterion => [criterion.name, criterion.value]));
+    return parseCriteriaList(breakdown).map(({ name, value }) =>
+        `<span class="rubric-chip">${escapeHtml(name)}: ${value}${maxByName.has(name) ? `/${maxByName.get(name)}` : ''}</span>`
+    ).join('');
+}
+
+// Rubric editor in the add / edit task modal
+function addRubricCriterion(name = '', value = '') {
+    const list = document.getElementById('rubricCriteriaList');
+    const row = document.createElement('div');
+    row.className = 'rubric-criterion-row';
+    row.innerHTML = `
+        <input type="text" class="rubric-name flex-1" placeholder="Criterion" oninput="updateRubricTotal()">
+        <input type="number" class="rubric-max w-20" min="1" max="${MAX_TASK_POINTS}" placeholder="Marks" oninput="updateRubricTotal()">
+        <button type="button" class="text-gray-400 hover:text-red-600 p-1" title="Remove criterion"
+                onclick="this.parentElement.remove(); updateRubricTotal()">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    row.querySelector('.rubric-name').value = name;
+    row.querySelector('.rubric-max').value = value;
+    list.appendChild(row);
+    updateRubricTotal();
+}
+
+function setRubricEditor(criteria) {
+    document.getElementById('rubricCriteriaList').innerHTML = '';
+    criteria.forEach(({ name, value }) => addRubricCriterion(name, value));
+    updateRubricTotal();
+}
+
+function useStandardRubric() {
+    setRubricEditor(STANDARD_RUBRIC);
+}
+
+// Rows left completely blank are ignored
+function readRubricEditor() {
+    return Array.from(document.querySelectorAll('#rubricCriteriaList .rubric-criterion-row'))
+        .map(row => ({
+            name: row.querySelector('.rubric-name').value.trim(),
+            rawValue: row.querySelector('.rubric-max').value.trim()
+        }))
+        .filter(({ name, rawValue }) => name || rawValue)
+        .map(({ name, rawValue }) => ({ name, value: Number(rawValue) }));
+}
+
+function updateRubricTotal() {
+    const total = readRubricEditor().reduce((sum, criterion) => sum + (Number(criterion.value) || 0), 0);
+    const totalEl = document.getElementById('rubricTotal');
+    totalEl.textContent = total;
+    totalEl.parentElement.classList.toggle('text-red-600', total > MAX_TASK_POINTS);
+}
+
+// =============================
+// ⏰ Late Penalties
+// =============================
+// late_policies has one row per class (scope "7") and optionally per class
+// subject (scope "7:english", which wins over the class row): grace_days,
+// percent_per_day and max_percent. A task completed after its due date plus
+// the grace days loses percent_per_day of its marks for every further day,
+// up to max_percent. Work handed in through Work Submissions counts from the
+// day it was submitted. Progress rows keep grade as the final mark and record
+// late_days, penalty (points deducted) and penalty_waived, so the raw mark is
+// grade + penalty unless the teacher waived it. Re-grades apply the current policy.
+const LATE_POLICY_FIELDS = ['grace_days', 'percent_per_day', 'max_percent'];
+let studentTaskLatePolicy = null;
+
+function latePolicyScope(classNum, subject = '') {
+    return subject ? `${classNum}:${String(subject).toLowerCase()}` : String(classNum);
+}
+
+function findLatePolicyRow(policySheet, scope) {
+    return Array.isArray(policySheet) ?
+        policySheet.find(policy => String(policy.scope).toLowerCase() === scope) || null :
+        null;
+}
+
+// { scope, grace_days, percent_per_day, max_percent }, or null when neither
+// the subject nor the class has a policy
+function getLatePolicy(policySheet, classNum, subject) {
+    const row = findLatePolicyRow(policySheet, latePolicyScope(classNum, subject)) ||
+        findLatePolicyRow(policySheet, latePolicyScope(classNum));
+    if (!row) return null;
+    
+    const [graceDays, percentPerDay, maxPercent] = LATE_POLICY_FIELDS.map(field => Math.max(0, parseFloat(row[field]) || 0));
+    return { scope: String(row.scope), grace_days: graceDays, percent_per_day: percentPerDay, max_percent: Math.min(maxPercent, 100) };
+}
+
+function describeLatePolicy(policy) {
+    if (!policy || !policy.percent_per_day || !policy.max_percent) return 'No late penalty';
+    const grace = policy.grace_days ? ` after ${policy.grace_days} grace day(s)` : '';
+    return `${policy.percent_per_day}% per day late${grace}, at most ${policy.max_percent}%`;
+}
+
+// Days late and the deduction for a raw mark handed in on handedIn
+function computeLatePenalty(rawGrade, handedIn, dueDate, policy) {
+    const due = parseTaskDate(dueDate);
+    const done = parseTaskDate(handedIn);
+    if (!due || !done || done <= due) return { lateDays: 0, percent: 0, points: 0 };
+    
+    const lateDays = Math.round((done - due) / DAY_MS);
+    const percent = policy ? Math.min(policy.max_percent, Math.max(0, lateDays - policy.grace_days) * policy.percent_per_day) : 0;
+    return { lateDays, percent, points: Math.round(rawGrade * percent / 100) };
+}
+
+// The marks a progress entry was given before any late penalty
+function rawProgressGrade(entry) {
+    const grade = parseInt(entry.grade || 0);
+    return entry.penalty_waived === 'yes' ? grade : grade + (parseInt(entry.penalty) || 0);
+}
+
+// The late penalty for a raw mark entered against a progressRecordAttributes
+// element; waived null keeps what was recorded
+function planLatePenalty(source, rawGrade, policy, today, waived = null) {
+    const wasCompleted = source.getAttribute('data-completed') === 'true';
+    const handedIn = (wasCompleted ? source.getAttribute('data-completed-date') : source.getAttribute('data-submitted-date')) || today;
+    const penalty = computeLatePenalty(rawGrade, handedIn, source.getAttribute('data-due-date'), policy);
+    const isWaived = waived === null ? source.getAttribute('data-penalty-waived') === 'true' : waived;
+    return {
+        ...penalty,
+        handedIn,
+        waived: isWaived && penalty.points > 0,
+        finalGrade: rawGrade - (isWaived ? 0 : penalty.points)
+    };
+}
+
+function toggleLatePolicyEditor() {
+    document.getElementById('latePolicyForm').classList.toggle('hidden');
+}
+
+// Show the policy that applies to the selected class subject and fill the editor
+async function loadLatePolicy(classNum, subject) {
+    const policySheet = await api.getSheet('late_policies');
+    const policy = getLatePolicy(policySheet, classNum, subject);
+    const own = findLatePolicyRow(policySheet, latePolicyScope(classNum, subject));
+    
+    document.getElementById('latePolicySummary').textContent = policy ?
+        `${describeLatePolicy(policy)} (${policy.scope.includes(':') ? 'this subject' : `all of Class ${classNum}`})` :
+        'No late penalty';
+    
+    const form = document.getElementById('latePolicyForm');
+    form.elements.scope.value = own || !policy ? 'subject' : 'class';
+    LATE_POLICY_FIELDS.forEach(field => {
+        form.elements[field].value = policy ? policy[field] : '';
+    });
+}
+
+async function saveLatePolicy(event) {
+    event.preventDefault();
+    const form = event.target;
+    const classNum = selectedClassForModal;
+    const subject = selectedSubjectForModal;
+    if (!classNum || !subject) return;
+    
+    const values = {};
+    for (const field of LATE_POLICY_FIELDS) {
+        const value = form.elements[field].value.trim() || '0';
+        if (!/^\d+(\.\d+)?$/.test(value) || (field !== 'grace_days' && Number(value) > 100)) {
+            alert('Enter whole days and percentages from 0 to 100.');
+            form.elements[field].focus();
+            return;
+        }
+        values[field] = value;
+    }
+    const scope = form.elements.scope.value === 'class' ? latePolicyScope(classNum) : latePolicyScope(classNum, subject);
+    
+    try {
+        const policySheet = await api.getSheet('late_policies', false);
+        let result;
+        if (findLatePolicyRow(policySheet, scope)) {
+            result = await api.updateRow('late_policies', 'scope', scope, values);
+        } else {
+            if (!Array.isArray(policySheet)) await api.createSheet('late_policies', ['scope', ...LATE_POLICY_FIELDS]);
+            result = await api.addRow('late_policies', [scope, ...LATE_POLICY_FIELDS.map(field => values[field])]);
+        }
+        
+        if (result && result.queued) {
+            alert('You are offline. The policy is saved and will be applied when the connection returns.');
+            return;
+        }
+        if (!result || result.error) throw new Error(result?.error || 'Failed to save the late policy');
+        form.classList.add('hidden');
+        await loadLatePolicy(classNum, subject);
+    } catch (error) {
+        console.error('Error saving late policy:', error);
+        alert('Error saving late policy: ' + error.message);
+    }
+}
+
+// =============================
+// 🩺 Extensions & Exemptions
+// =============================
+// <username>_extensions holds what a teacher granted one student: task_id,
+// due_date (their own due date, MM-DD-YYYY), exempt ("yes"), granted_by,
+// granted_at. An extended task is due, overdue and late (see Late Penalties)
+// by the student's date; an exempt task leaves their completion totals,
+// overdue counts and points possible.
+const EXTENSION_HEADERS = ['task_id', 'due_date', 'exempt', 'granted_by', 'granted_at'];
+let studentTaskModalStudent = null;
+
+function getTaskExtensions(sheet) {
+    const extensions = new Map();
+    if (!Array.isArray(sheet)) return extensions;
+    sheet.forEach(row => extensions.set(String(row.task_id), row));
+    return extensions;
+}
+
+// Tasks as one student sees them: their due date swapped in (the class one
+// kept as class_due_date) and exempt tasks flagged
+function applyTaskExtensions(tasks, extensionsSheet) {
+    if (!Array.isArray(tasks)) return tasks;
+    const extensions = getTaskExtensions(extensionsSheet);
+    if (extensions.size === 0) return tasks;
+    
+    return tasks.map(task => {
+        const extension = extensions.get(String(task.task_id));
+        if (!extension) return task;
+        return {
+            ...task,
+            due_date: extension.due_date || task.due_date,
+            class_due_date: task.due_date,
+            extended: !!extension.due_date && extension.due_date !== task.due_date,
+            exempt: extension.exempt === 'yes'
+        };
+    });
+}
+
+function withoutExemptTasks(tasks) {
+    return Array.isArray(tasks) ? tasks.filter(task => !task.exempt) : tasks;
+}
+
+// The selected term's active tasks that count for one student
+async function loadStudentTasks(classNum, username) {
+    const [tasks, extensions] = await Promise.all([
+        api.getSheet(`${classNum}_tasks_master`),
+        api.getSheet(`${username}_extensions`)
+    ]);
+    return withoutExemptTasks(applyTaskExtensions(getActiveTasks(getTermTasks(tasks)), extensions));
+}
+
+function toggleExtensionEditor(taskId) {
+    document.getElementById(`extension-${taskId}`).classList.toggle('hidden');
+}
+
+// action: 'extend' (to the date picked), 'exempt', or 'clear' to drop both
+async function saveTaskExtension(taskId, action) {
+    if (!studentTaskModalStudent || !ensureTermWritable()) return;
+    const { username, fullName, classNum } = studentTaskModalStudent;
+    const sheetName = `${username}_extensions`;
+    
+    const changes = { due_date: '', exempt: '', granted_by: currentUser.username, granted_at: new Date().toISOString() };
+    if (action === 'extend') {
+        const dateValue = document.getElementById(`extension-date-${taskId}`).value;
+        if (!dateValue) {
+            alert('Pick the new due date first.');
+            return;
+        }
+        changes.due_date = formatSheetDate(dateValue);
+    } else if (action === 'exempt') {
+        if (!confirm(`Exempt ${fullName} from ${taskId}? It will no longer count towards their totals.`)) return;
+        changes.exempt = 'yes';
+    }
+    
+    try {
+        const sheet = await api.getSheet(sheetName, false);
+        const exists = getTaskExtensions(sheet).has(String(taskId));
+        let result;
+        if (action === 'clear') {
+            result = exists ? await api.deleteRow(sheetName, 'task_id', taskId) : { success: true };
+        } else if (exists) {
+            result = await api.updateRow(sheetName, 'task_id', taskId, changes);
+        } else {
+            if (!Array.isArray(sheet)) await api.createSheet(sheetName, EXTENSION_HEADERS);
+            result = await api.addRow(sheetName, EXTENSION_HEADERS.map(column => column === 'task_id' ? taskId : changes[column]));
+        }
+        
+        if (!result || result.error) throw new Error(result?.error || 'Failed to save');
+        if (result.queued) alert('You are offline. The change is saved and will sync when the connection returns.');
+        await openStudentTaskModal(username, fullName, classNum);
+    } catch (error) {
+        console.error('Error saving extension:', error);
+        alert('Error saving extension: ' + error.message);
+    }
+}
+
+// =============================
+// 🗓️ Academic Terms
+// =============================
+// Tasks carry the academic year and term they belong to in the year and term
+// columns of <class>_tasks_master, and progress rows repeat their task's.
+// Tasks from before those columns existed fall back to the term of their due
+// date; untagged progress rows follow the task they point at. Task lists,
+// charts and totals cover the term picked in the header, and terms that have
+// ended are read-only.
+let selectedTerm = null;
+
+// Academic years run June to March, e.g. "2026-27"
+function formatAcademicYear(startYear) {
+    return `${startYear}-${String(startYear + 1).slice(-2)}`;
+}
+
+function getAcademicYear(date = new Date()) {
+    return formatAcademicYear(date.getMonth() >= 5 ? date.getFullYear() : date.getFullYear() - 1);
+}
+
+// Term 1 is June to September, term 2 October to December, term 3 January to May
+function getAcademicTerm(date = new Date()) {
+    const month = date.getMonth();
+    const term = month >= 5 && month <= 8 ? 1 : month >= 9 ? 2 : 3;
+    return { year: getAcademicYear(date), term: String(term) };
+}
+
+function getSelectedTerm() {
+    return selectedTerm || getAcademicTerm();
+}
+
+function termLabel(term) {
+    return `Term ${term.term}, ${term.year}`;
+}
+
+function isSameTerm(a, b) {
+    return a.year === b.year && a.term === b.term;
+}
+
+// Negative when a comes before b
+function compareTerms(a, b) {
+    return a.year === b.year ? Number(a.term) - Number(b.term) : a.year.localeCompare(b.year);
+}
+
+function nextTerm(term) {
+    if (term.term !== '3') return { year: term.year, term: String(Number(term.term) + 1) };
+    return { year: formatAcademicYear(parseInt(term.year) + 1), term: '1' };
+}
+
+function isTermReadOnly(term = getSelectedTerm()) {
+    return compareTerms(term, getAcademicTerm()) < 0;
+}
+
+function getTaskTerm(task) {
+    if (task.year && task.term) return { year: String(task.year), term: String(task.term) };
+    const dueDate = new Date(task.due_date);
+    return getAcademicTerm(isNaN(dueDate.getTime()) ? new Date() : dueDate);
+}
+
+// Pass-through for { error } responses, like getActiveTasks
+function getTermTasks(tasks, term = getSelectedTerm()) {
+    return Array.isArray(tasks) ? tasks.filter(task => isSameTerm(getTaskTerm(task), term)) : tasks;
+}
+
+// Drops progress rows tagged with another term; untagged rows are kept and
+// only count through the term's tasks they point at
+function getTermProgress(progress, term = getSelectedTerm()) {
+    return Array.isArray(progress) ? progress.filter(entry =>
+        !entry.year || !entry.term || isSameTerm({ year: String(entry.year), term: String(entry.term) }, term)
+    ) : progress;
+}
+
+// Header selector: every term of the previous and current academic year,
+// plus the next term so it can be planned ahead
+function populateTermSelect() {
+    const current = getAcademicTerm();
+    const last = nextTerm(current);
+    const terms = [];
+    for (let term = { year: formatAcademicYear(parseInt(current.year) - 1), term: '1' };
+         compareTerms(term, last) <= 0; term = nextTerm(term)) {
+        terms.unshift(term);
+    }
+    
+    const select = document.getElementById('termSelect');
+    select.innerHTML = terms.map(term => `
+        <option value="${term.year}|${term.term}" ${isSameTerm(term, getSelectedTerm()) ? 'selected' : ''}>
+            ${termLabel(term)}${isSameTerm(term, current) ? ' (current)' : ''}
+        </option>
+    `).join('');
+    updateTermReadOnlyState();
+}
+
+function updateTermReadOnlyState() {
+    const readOnly = isTermReadOnly();
+    document.body.classList.toggle('term-readonly', readOnly);
+    document.getElementById('termReadOnlyText').textContent = readOnly ?
+        `${termLabel(getSelectedTerm())} has ended and is read-only.` : '';
+}
+
+// Guard for anything that writes tasks or marks
+function ensureTermWritable() {
+    if (!isTermReadOnly()) return true;
+    alert(`${termLabel(getSelectedTerm())} has ended and is read-only. Pick the current term in the header to make changes.`);
+    return false;
+}
+
+async function changeSelectedTerm(value) {
+    const select = document.getElementById('termSelect');
+    if (hasUnsavedGradingGrid() &&
+        !confirm('Discard unsaved marks?')) {
+        const term = getSelectedTerm();
+        select.value = `${term.year}|${term.term}`;
+        return;
+    }
+    
+    const [year, term] = value.split('|');
+    selectedTerm = { year, term };
+    updateTermReadOnlyState();
+    
+    if (currentUser.role === 'student') {
+        await Promise.all([
+            loadTasks(),
+            currentPage === 'status' ? loadStatusCharts() : null
+        ]);
+    } else if (currentPage === 'adminTasks') {
+        loadNeedsAttention();
+        if (selectedClassForModal && selectedSubjectForModal) {
+            hideGradingGrid();
+            await loadAdminClassSubjectData(selectedClassForModal, selectedSubjectForModal);
+        }
+    } else if (currentPage === 'adminStatus') {
+        const username = document.getElementById('userSelect').value;
+        if (username) await loadSelectedUserStatus(username);
+        if (compareUsernames.length > 0) await loadComparison();
+    } else if (currentPage === 'adminAnalytics') {
+        const classNum = document.getElementById('analyticsClassSelect').value;
+        const subject = document.getElementById('analyticsSubjectSelect').value;
+        if (classNum && subject) await loadClassAnalytics(classNum, subject);
+    }
+}
+
+// =============================
+// ✅ Tasks (SUPER OPTIMIZED)
+// =============================
+// Archived tasks stay in <class>_tasks_master (status = "archived") so their
+// IDs are never reused and students' progress rows keep pointing at them,
+// but they are hidden from students and left out of every total.
+// Tasks prepared ahead are treated the same until they go out: drafts
+// (status = "draft") until a teacher publishes them, and tasks with a
+// publish_date (MM-DD-YYYY) until that day.
+function isTaskArchived(task) {
+    return String(task.status || '').toLowerCase() === 'archived';
+}
+
+function isTaskDraft(task) {
+    return String(task.status || '').toLowerCase() === 'draft';
+}
+
+function isTaskScheduled(task, today = new Date()) {
+    const publishDate = parseTaskDate(task.publish_date);
+    const day = new Date(today);
+    day.setHours(0, 0, 0, 0);
+    return !!publishDate && publishDate > day;
+}
+
+function isTaskPublished(task, today = new Date()) {
+    return !isTaskDraft(task) && !isTaskScheduled(task, today);
+}
+
+// Pass-through for { error } responses so callers keep their own checks
+function getActiveTasks(tasks) {
+    return Array.isArray(tasks) ? tasks.filter(task => !isTaskArchived(task) && isTaskPublished(task)) : tasks;
+}
+
+async function loadTasks() {
+    const tasksContainer = document.getElementById('subjectCards');
+    
+    // Show skeleton immediately
+    tasksContainer.innerHTML = `
+        <div class="animate-pulse space-y-4">
+            ${Array(3).fill(0).map(() => `
+                <div class="bg-white rounded-lg p-4 border-2 border-gray-200">
+                    <div class="flex items-center space-x-3">
+                        <div class="w-10 h-10 bg-gray-200 rounded-full"></div>
+                        <div class="flex-1">
+                            <div class="h-4 bg-gray-200 rounded w-3/4 mb-2"></div>
+                            <div class="h-3 bg-gray-200 rounded w-1/2"></div>
+                        </div>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    try {
+        if (currentUser.role === 'student') {
+            if (!currentUser.class) {
+                tasksContainer.innerHTML = '<p class="text-gray-500 text-center py-8">No class assigned. Please contact administrator.</p>';
+                document.getElementById('userClass').textContent = 'Class: Not Assigned';
+                return;
+            }
+            
+            document.getElementById('userClass').textContent = `Class ${currentUser.class}`;
+            
+            // Load data in parallel
+            const [allTasks, allProgress, feedback, extensions] = await Promise.all([
+                api.getSheet(`${currentUser.class}_tasks_master`),
+                api.getSheet(`${currentUser.username}_progress`),
+                api.getSheet(`${currentUser.username}_feedback`),
+                api.getSheet(`${currentUser.username}_extensions`)
+            ]);
+            const tasks = applyTaskExtensions(getActiveTasks(getTermTasks(allTasks)), extensions);
+            const progress = getTermProgress(allProgress);
+            
+            if (!tasks || tasks.error || tasks.length === 0) {
+                tasksContainer.innerHTML = `<p class="text-gray-500 text-center py-8">No tasks found for your class in ${termLabel(getSelectedTerm())}.</p>`;
+                return;
+            }
+
+            // Pre-process data for faster rendering
+            const latestProgress = getLatestTaskProgress(progress);
+            const feedbackThreads = getFeedbackThreads(feedback);
+            const progressMap = new Map();
+            getCompletedTaskProgress(progress).forEach((p, taskId) => {
+                progressMap.set(taskId, {
+                    completed: true,
+                    grade: p.grade,
+                    breakdown: p.breakdown,
+                    lateDays: parseInt(p.late_days) || 0,
+                    penalty: parseInt(p.penalty) || 0,
+                    penaltyWaived: p.penalty_waived === 'yes'
+                });
+            });
+
+            // Group tasks by subject with optimized loop
+            const tasksBySubject = {};
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+
+            tasks.forEach(task => {
+                const subject = task.subject || 'General';
+                if (!tasksBySubject[subject]) {
+                    tasksBySubject[subject] = {
+                        tasks: [],
+                        countedCount: 0,
+                        completedCount: 0
+                    };
+                }
+                
+                // Pre-calculate status; exempt tasks are listed but not counted
+                const userProgress = progressMap.get(String(task.task_id));
+                const completed = !!userProgress;
+                if (!task.exempt) tasksBySubject[subject].countedCount++;
+                if (completed && !task.exempt) tasksBySubject[subject].completedCount++;
+                const submitted = !completed && latestProgress.get(String(task.task_id))?.status === 'submitted';
+                
+                const dueDate = new Date(task.due_date);
+                dueDate.setHours(0, 0, 0, 0);
+                
+                let statusClass = 'status-pending';
+                let statusText = 'Pending';
+                
+                if (completed) {
+                    statusClass = 'status-completed';
+                    statusText = 'Completed';
+                } else if (submitted) {
+                    statusClass = 'status-submitted';
+                    statusText = 'Submitted – awaiting review';
+                } else if (task.exempt) {
+                    statusClass = 'status-archived';
+                    statusText = 'Exempt';
+                } else if (dueDate < today) {
+                    statusClass = 'status-overdue';
+                    statusText = 'Overdue';
+                } else if (dueDate.getTime() === today.getTime()) {
+                    statusClass = 'status-pending';
+                    statusText = 'Due Today';
+                }
+                
+                tasksBySubject[subject].tasks.push({
+                    ...task,
+                    completed,
+                    submitted,
+                    feedback: feedbackThreads.get(String(task.task_id)) || [],
+                    grade: userProgress?.grade,
+                    breakdown: userProgress?.breakdown,
+                    lateDays: userProgress?.lateDays || 0,
+                    penalty: userProgress?.penalty || 0,
+                    penaltyWaived: userProgress?.penaltyWaived,
+                    rubric: getTaskRubric(task),
+                    maxPoints: getTaskMaxPoints(task),
+                    statusClass,
+                    statusText,
+                    dueDateFormatted: new Date(task.due_date).toLocaleDateString('en-US', {
+                        year: 'numeric',
+                        month: 'short',
+                        day: 'numeric'
+                    })
+                });
+            });
+
+            // Use DocumentFragment for faster DOM manipulation
+            const fragment = document.createDocumentFragment();
+
+            Object.entries(tasksBySubject).forEach(([subject, subjectData]) => {
+                const { tasks: subjectTasks, countedCount, completedCount } = subjectData;
+                
+                const subjectCard = document.createElement('div');
+                subjectCard.className = 'subject-card';
+                subjectCard.setAttribute('data-subject', subject);
+                
+                subjectCard.innerHTML = `
+                    <div class="subject-header" data-subject="${escapeHtml(subject)}" onclick="toggleSubjectTasks(this.dataset.subject)">
+                        <div class="flex items-center min-w-0 flex-1">
+                            <div class="subject-icon">
+                                <i class="${getSubjectIcon(subject)}"></i>
+                            </div>
+                            <div class="subject-info min-w-0 flex-1">
+                                <h3>${escapeHtml(subject)}</h3>
+                                <p>${countedCount} tasks • ${completedCount} completed</p>
+                            </div>
+                        </div>
+                        <div class="flex items-center space-x-2 flex-shrink-0">
+                            <span class="task-count-badge">${subjectTasks.length} tasks</span>
+                            <i class="fas fa-chevron-down expand-arrow" id="arrow-${escapeHtml(subject)}"></i>
+                        </div>
+                    </div>
+                    
+                    <div class="tasks-container" id="tasks-${escapeHtml(subject)}">
+                        ${subjectTasks.map(task => `
+                            <div class="task-item">
+                                <div class="task-header">
+                                    <span class="task-id-badge">${task.task_id}</span>
+                                    <span class="task-status ${task.statusClass}">${task.statusText}</span>
+                                </div>
+                                <h4 class="task-title">${escapeHtml(task.title)}</h4>
+                                <p class="task-description">${escapeHtml(task.description)}</p>
+                                <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mt-2">
+                                    <p class="task-due-date">
+                                        <i class="fas fa-calendar-alt"></i>
+                                        Due: ${task.dueDateFormatted}${task.extended ? ' (extended for you)' : ''}
+                                    </p>
+                                    ${task.completed && task.grade ? `<span class="text-xs bg-green-100 text-green-800 px-2 py-1 rounded">Score: ${task.grade}/${task.maxPoints}</span>` : ''}
+                                    ${task.completed && task.penalty > 0 ? `
+                                        <span class="text-xs bg-orange-100 text-orange-800 px-2 py-1 rounded">
+                                            ${task.lateDays} day(s) late: ${task.penaltyWaived ? `penalty of ${task.penalty} waived` : `−${task.penalty} points`}
+                                        </span>
+                                    ` : ''}
+                                    ${!task.completed && !task.exempt ? `
+                                        <button onclick="openSubmitWorkModal('${task.task_id}')" class="term-write text-xs bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded">
+                                            <i class="fas fa-upload mr-1"></i>${task.submitted ? 'Resubmit' : 'Submit work'}
+                                        </button>
+                                    ` : ''}
+                                </div>
+                                ${task.completed && task.breakdown ? `
+                                    <div class="mt-2">${renderBreakdownChips(task.breakdown, task.rubric)}</div>
+                                ` : !task.completed && task.rubric.length ? `
+                                    <p class="text-xs text-gray-500 mt-2">
+                                        <i class="fas fa-list-ol mr-1"></i>Marked on: ${task.rubric.map(c => `${escapeHtml(c.name)} (${c.value})`).join(', ')}
+                                    </p>
+                                ` : ''}
+                                ${renderFeedbackThread(task.feedback)}
+                                ${task.completed || task.feedback.length ? `
+                                    <div class="feedback-reply term-write">
+                                        <textarea id="reply-${task.task_id}" rows="1" placeholder="${task.feedback.length ? 'Reply to your teacher...' : 'Ask your teacher about this mark...'}"></textarea>
+                                        <button onclick="sendFeedbackReply('${task.task_id}')" title="Send">
+                                            <i class="fas fa-paper-plane"></i>
+                                        </button>
+                                    </div>
+                                ` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+                fragment.appendChild(subjectCard);
+            });
+
+            tasksContainer.innerHTML = '';
+            tasksContainer.appendChild(fragment);
+        }
+        
+    } catch (error) {
+        console.error('Error loading tasks:', error);
+        tasksContainer.innerHTML = '<p class="text-red-500 text-center py-8">Error loading tasks. Please try again.</p>';
+    }
+}
+
+// Function to toggle subject task visibility
+function toggleSubjectTasks(subject) {
+    const tasksContainer = document.getElementById(`tasks-${subject}`);
+    const arrow = document.getElementById(`arrow-${subject}`);
+    
+    if (tasksContainer && arrow) {
+        if (!tasksContainer.classList.contains('expanded')) {
+            // Close all other expanded subjects first
+            document.querySelectorAll('.tasks-container.expanded').forEach(container => {
+                if (container !== tasksContainer) {
+                    container.classList.remove('expanded');
+                }
+            });
+            document.querySelectorAll('.expand-arrow.expanded').forEach(arrowIcon => {
+                if (arrowIcon !== arrow) {
+                    arrowIcon.classList.remove('expanded');
+                }
+            });
+            
+            // Open this subject
+            tasksContainer.classList.add('expanded');
+            arrow.classList.add('expanded');
+        } else {
+            // Close this subject
+            tasksContainer.classList.remove('expanded');
+            arrow.classList.remove('expanded');
+        }
+    }
+}
+
+// =============================
+// 📤 Work Submissions
+// =============================
+// <username>_submissions holds what a student hands in: submission_id,
+// task_id, submitted_at, text, links (one per line), files (JSON array of
+// { name, url } from api.uploadFile), year, term. Handing in also appends a
+// "submitted" progress row, so the task waits for review until a teacher
+// grades it. Resubmitting adds another row; the latest one is shown.
+const MAX_SUBMISSION_FILES = 5;
+const MAX_SUBMISSION_FILE_MB = 5;
+
+let submitWorkState = null;
+
+// Submissions are typed by students and shown to teachers, so never trust them as HTML
+function escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, ch => entities[ch]);
+}
+
+function isWebLink(url) {
+    return /^https?:\/\/\S+$/i.test(String(url || '').trim());
+}
+
+function getLatestSubmissions(submissions) {
+    const latest = new Map();
+    if (!Array.isArray(submissions)) return latest;
+    
+    submissions.forEach(entry => {
+        const taskId = String(entry.task_id);
+        const previous = latest.get(taskId);
+        if (!previous || String(entry.submitted_at) >= String(previous.submitted_at)) {
+            latest.set(taskId, entry);
+        }
+    });
+    return latest;
+}
+
+function parseSubmissionFiles(value) {
+    try {
+        const files = JSON.parse(value || '[]');
+        return Array.isArray(files) ? files.filter(file => file && isWebLink(file.url)) : [];
+    } catch {
+        return [];
+    }
+}
+
+function renderSubmission(submission) {
+    const links = String(submission.links || '').split('\n').map(link => link.trim()).filter(isWebLink);
+    const files = parseSubmissionFiles(submission.files);
+    const submittedAt = new Date(submission.submitted_at);
+    const link = (icon, href, label) => `
+        <p class="mt-1">
+            <i class="fas ${icon} mr-1"></i><a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>
+        </p>`;
+    
+    return `
+        <div class="submission-box">
+            <p class="font-semibold text-purple-800 mb-1">
+                <i class="fas fa-inbox mr-1"></i>Submitted${isNaN(submittedAt) ? '' : ` ${submittedAt.toLocaleString('en-US', {
+                    month: 'short',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: '2-digit'
+                })}`}
+            </p>
+            ${submission.text ? `<p class="submission-text">${escapeHtml(submission.text)}</p>` : ''}
+            ${links.map(url => link('fa-link', url, url)).join('')}
+            ${files.map(file => link('fa-paperclip', api.fileUrl(file.url), file.name || 'Attachment')).join('')}
+        </div>
+    `;
+}
+
+// Upload files one by one; throws on the first that fails
+async function uploadAttachments(files, folder) {
+    const uploaded = [];
+    for (const file of files) {
+        const result = await api.uploadFile(file, folder);
+        if (!result || result.error) {
+            throw new Error(`${file.name}: ${result?.error || 'upload failed'}`);
+        }
+        uploaded.push({ name: result.name || file.name, url: result.url, type: file.type || '' });
+    }
+    return uploaded;
+}
+
+async function openSubmitWorkModal(taskId) {
+    if (!ensureTermWritable()) return;
+    
+    const [tasks, progress, submissions] = await Promise.all([
+        api.getSheet(`${currentUser.class}_tasks_master`),
+        api.getSheet(`${currentUser.username}_progress`),
+        api.getSheet(`${currentUser.username}_submissions`)
+    ]);
+    // Drafts and scheduled tasks cannot be handed in yet
+    const activeTasks = getActiveTasks(tasks);
+    const task = Array.isArray(activeTasks) ? activeTasks.find(t => String(t.task_id) === String(taskId)) : null;
+    if (!task) {
+        alert('This task could not be found. Please refresh and try again.');
+        return;
+    }
+    const latestEntry = getLatestTaskProgress(progress).get(String(taskId));
+    if (latestEntry && latestEntry.status === 'complete') {
+        alert('This task has already been graded.');
+        return;
+    }
+    
+    submitWorkState = { task, revision: latestEntry ? progressRevision(latestEntry) : 0 };
+    const previous = getLatestSubmissions(submissions).get(String(taskId));
+    
+    document.getElementById('submitWorkTitle').textContent = `Submit Work - ${task.task_id}: ${task.title}`;
+    document.getElementById('submitWorkPrevious').innerHTML = previous ? `
+        <p class="text-sm text-gray-600">Your last submission (submitting again replaces it for review):</p>
+        ${renderSubmission(previous)}
+    ` : '';
+    document.getElementById('submitWorkForm').reset();
+    document.getElementById('submissionFilesHint').textContent =
+        `Up to ${MAX_SUBMISSION_FILES} files, ${MAX_SUBMISSION_FILE_MB} MB each.`;
+    document.getElementById('submitWorkModal').classList.remove('hidden');
+}
+
+function closeSubmitWorkModal() {
+    document.getElementById('submitWorkModal').classList.add('hidden');
+    submitWorkState = null;
+}
+
+async function submitWork(event) {
+    event.preventDefault();
+    if (!submitWorkState || !ensureTermWritable()) return;
+    
+    const text = document.getElementById('submissionText').value.trim();
+    const links = document.getElementById('submissionLinks').value.split('\n').map(link => link.trim()).filter(Boolean);
+    const files = Array.from(document.getElementById('submissionFiles').files);
+    
+    if (!text && links.length === 0 && files.length === 0) {
+        alert('Add your answer, a link or a file before submitting.');
+        return;
+    }
+    const badLink = links.find(link => !isWebLink(link));
+    if (badLink) {
+        alert(`Links must start with http:// or https://: ${badLink}`);
+        return;
+    }
+    if (files.length > MAX_SUBMISSION_FILES) {
+        alert(`Attach at most ${MAX_SUBMISSION_FILES} files.`);
+        return;
+    }
+    const tooLarge = files.find(file => file.size > MAX_SUBMISSION_FILE_MB * 1024 * 1024);
+    if (tooLarge) {
+        alert(`${tooLarge.name} is larger than ${MAX_SUBMISSION_FILE_MB} MB.`);
+        return;
+    }
+    
+    const submitBtn = document.getElementById('submitWorkBtn');
+    const originalText = submitBtn.innerHTML;
+    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Submitting...';
+    submitBtn.disabled = true;
+    
+    try {
+        const { task, revision } = submitWorkState;
+        const term = getTaskTerm(task);
+        
+        // Upload first: the submission row stores the links the backend hands back
+        const uploaded = await uploadAttachments(files, `submissions/${currentUser.username}`);
+        
+        const now = new Date();
+        const submissionResult = await api.addRow(`${currentUser.username}_submissions`, [
+            `S${now.getTime()}`,
+            task.task_id,
+            now.toISOString(),
+            text,
+            links.join('\n'),
+            JSON.stringify(uploaded),
+            term.year,
+            term.term
+        ]);
+        if (!submissionResult || submissionResult.error) {
+            throw new Error(submissionResult?.error || 'Submission could not be saved');
+        }
+        
+        const progressResult = await api.addRow(`${currentUser.username}_progress`,
+            buildProgressRow(task.task_id, 'submitted', now.toISOString().split('T')[0], '', revision + 1, '', term));
+        if (!progressResult || progressResult.error) {
+            throw new Error(progressResult?.error || 'Task status could not be updated');
+        }
+        
+        if (submissionResult.queued || progressResult.queued) {
+            alert('Saved offline. Your work will be submitted automatically when the connection returns.');
+        } else {
+            alert('Work submitted. Your teacher will review it.');
+        }
+        closeSubmitWorkModal();
+        await loadTasks();
+    } catch (error) {
+        console.error('Error submitting work:', error);
+        alert('Error submitting work: ' + error.message);
+    } finally {
+        submitBtn.innerHTML = originalText;
+        submitBtn.disabled = false;
+    }
+}
+
+// =============================
+// 💬 Feedback
+// =============================
+// <username>_feedback is a comment thread per task: comment_id, task_id,
+// author, role, created_at, text, files (JSON array of { name, url, type }),
+// year, term. Teachers leave feedback when grading; students reply to ask
+// about a mark, and teachers answer from the same thread.
+const MAX_FEEDBACK_FILE_MB = 5;
+
+function getFeedbackThreads(feedback) {
+    const threads = new Map();
+    if (!Array.isArray(feedback)) return threads;
+    
+    feedback.forEach(entry => {
+        const taskId = String(entry.task_id);
+        if (!threads.has(taskId)) threads.set(taskId, []);
+        threads.get(taskId).push(entry);
+    });
+    threads.forEach(entries => entries.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at))));
+    return threads;
+}
+
+function buildFeedbackRow(taskId, text, files, term) {
+    const now = new Date();
+    return [
+        `C${now.getTime()}${Math.floor(Math.random() * 1000)}`,
+        taskId,
+        currentUser.username,
+        currentUser.role,
+        now.toISOString(),
+        text,
+        JSON.stringify(files),
+        term ? term.year : '',
+        term ? term.term : ''
+    ];
+}
+
+function renderFeedbackAttachment(file) {
+    const href = escapeHtml(api.fileUrl(file.url));
+    if (String(file.type || '').startsWith('audio/')) {
+        return `<audio controls preload="none" src="${href}" class="mt-1 w-full"></audio>`;
+    }
+    return `
+        <p class="mt-1">
+            <i class="fas fa-paperclip mr-1"></i><a href="${href}" target="_blank" rel="noopener noreferrer">${escapeHtml(file.name || 'Attachment')}</a>
+        </p>`;
+}
+
+function renderFeedbackThread(entries) {
+    if (!entries || entries.length === 0) return '';
+    
+    return `
+        <div class="feedback-thread">
+            ${entries.map(entry => {
+                const author = entry.author === currentUser.username ? 'You' : entry.role === 'admin' ? 'Teacher' : 'Student';
+                const createdAt = new Date(entry.created_at);
+                return `
+                    <div class="feedback-entry ${entry.role === 'admin' ? 'teacher' : ''}">
+                        <p class="feedback-meta">
+                            <i class="fas ${entry.role === 'admin' ? 'fa-chalkboard-teacher' : 'fa-user'} mr-1"></i>${author}
+                            ${isNaN(createdAt) ? '' : ` • ${createdAt.toLocaleString('en-US', {
+                                month: 'short',
+                                day: 'numeric',
+                                hour: 'numeric',
+                                minute: '2-digit'
+                            })}`}
+                        </p>
+                        ${entry.text ? `<p class="submission-text">${escapeHtml(entry.text)}</p>` : ''}
+                        ${parseSubmissionFiles(entry.files).map(renderFeedbackAttachment).join('')}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+// Upload each comment's attachment, then append every comment; throws when
+// anything fails. Items: { username, taskId, text, file, term }
+async function saveFeedback(items) {
+    if (items.length === 0) return [];
+    if (items.some(item => item.file) && navigator.onLine === false) {
+        throw new Error('Attachments can only be uploaded while online');
+    }
+    
+    const rows = [];
+    for (const item of items) {
+        const files = item.file ? await uploadAttachments([item.file], `feedback/${item.username}`) : [];
+        rows.push({ username: item.username, row: buildFeedbackRow(item.taskId, item.text, files, item.term) });
+    }
+    
+    const results = await Promise.all(rows.map(({ username, row }) => api.addRow(`${username}_feedback`, row)));
+    const failed = results.filter(result => !result || result.error);
+    if (failed.length > 0) {
+        throw new Error(failed[0]?.error || `${failed.length} comment(s) could not be saved`);
+    }
+    return results;
+}
+
+// The comment box under a task in the student modal; null when left empty
+function readFeedbackInput(taskId) {
+    const textInput = document.getElementById(`feedback-${taskId}`);
+    const fileInput = document.getElementById(`feedback-file-${taskId}`);
+    const text = textInput ? textInput.value.trim() : '';
+    const file = fileInput && fileInput.files.length > 0 ? fileInput.files[0] : null;
+    if (!text && !file) return null;
+    if (file && file.size > MAX_FEEDBACK_FILE_MB * 1024 * 1024) {
+        throw new Error(`Task ${taskId}: ${file.name} is larger than ${MAX_FEEDBACK_FILE_MB} MB.`);
+    }
+    return { text, file };
+}
+
+async function sendFeedbackReply(taskId) {
+    if (!ensureTermWritable()) return;
+    const input = document.getElementById(`reply-${taskId}`);
+    const text = input.value.trim();
+    if (!text) {
+        alert('Write your question or reply first.');
+        input.focus();
+        return;
+    }
+    
+    try {
+        const tasks = await api.getSheet(`${currentUser.class}_tasks_master`);
+        const task = Array.isArray(tasks) ? tasks.find(t => String(t.task_id) === String(taskId)) : null;
+        const results = await saveFeedback([{
+            username: currentUser.username,
+            taskId,
+            text,
+            file: null,
+            term: task ? getTaskTerm(task) : null
+        }]);
+        if (results.some(result => result && result.queued)) {
+            alert('Saved offline. Your reply will be sent when the connection returns.');
+        }
+        await loadTasks();
+        if (task) toggleSubjectTasks(task.subject || 'General');
+    } catch (error) {
+        console.error('Error sending reply:', error);
+        alert('Error sending reply: ' + error.message);
+    }
+}
+
+// Helper functions for subject icons
+function getSubjectIcon(subject) {
+    const subjectLower = subject.toLowerCase();
+    if (subjectLower.includes('math')) return 'fas fa-calculator';
+    if (subjectLower.includes('english') || subjectLower.includes('language')) return 'fas fa-language';
+    if (subjectLower.includes('science')) return 'fas fa-flask';
+    if (subjectLower.includes('arabic')) return 'fas fa-book-open';
+    if (subjectLower.includes('islamic') || subjectLower.includes('quran')) return 'fas fa-mosque';
+    if (subjectLower.includes('computer')) return 'fas fa-laptop-code';
+    if (subjectLower.includes('history')) return 'fas fa-scroll';
+    if (subjectLower.includes('geography')) return 'fas fa-globe';
+    if (subjectLower.includes('urdu')) return 'fas fa-font';
+    if (subjectLower.includes('malayalam')) return 'fas fa-language';
+    if (subjectLower.includes('social')) return 'fas fa-users';
+    return 'fas fa-book';
+}
+
+// =============================
+// 📊 Status Charts & Progress (OPTIMIZED)
+// =============================
+async function loadStatusCharts() {
+    try {
+        const progressSheetName = `${currentUser.username}_progress`;
+        const progress = getTermProgress(await api.getSheet(progressSheetName));
+        
+        await Promise.all([
+            loadTaskChart(progress),
+            loadSubjectPointsSummary(progress),
+            loadTrendCharts(progress)
+        ]);
+    } catch (error) {
+        console.error('Error loading status charts:', error);
+    }
+}
+
+// Per-subject task counts and points for one student, shared by the status
+// pages and the report cards. possiblePoints is what the subject's tasks are
+// worth in total (MAX_TASK_POINTS each unless a rubric says otherwise).
+function buildSubjectStats(tasks, progress) {
+    const subjectStats = {};
+    const completedProgress = getCompletedTaskProgress(progress);
+    
+    tasks.forEach(task => {
+        const subject = task.subject || 'General';
+        if (!subjectStats[subject]) {
+            subjectStats[subject] = {
+                totalTasks: 0,
+                completedTasks: 0,
+                totalPoints: 0,
+                earnedPoints: 0,
+                possiblePoints: 0
+            };
+        }
+        
+        subjectStats[subject].totalTasks++;
+        subjectStats[subject].possiblePoints += getTaskMaxPoints(task);
+        
+        // Check if task is completed
+        const userTask = completedProgress.get(String(task.task_id));
+        
+        if (userTask) {
+            subjectStats[subject].completedTasks++;
+            subjectStats[subject].earnedPoints += parseInt(userTask.grade || 0);
+        }
+    });
+    
+    // Calculate total points
+    Object.keys(subjectStats).forEach(subject => {
+        subjectStats[subject].totalPoints = subjectStats[subject].earnedPoints;
+    });
+    
+    return subjectStats;
+}
+
+async function loadSubjectPointsSummary(progress) {
+    try {
+        if (!currentUser.class) return;
+        
+        const tasks = await loadStudentTasks(currentUser.class, currentUser.username);
+        
+        // Generate subject points grid
+        const subjectPointsGrid = document.getElementById('subjectPointsGrid');
+        if (!subjectPointsGrid) return;
+        
+        if (!tasks || tasks.error || tasks.length === 0) {
+            subjectPointsGrid.innerHTML = `<p class="text-gray-500 text-center py-4">No tasks in ${termLabel(getSelectedTerm())}.</p>`;
+            return;
+        }
+        
+        const subjectStats = buildSubjectStats(tasks, progress);
+        
+        const subjectCardsHtml = Object.entries(subjectStats).map(([subject, stats]) => {
+            return `
+                <div class="subject-points-card">
+                    <div class="flex items-center justify-center mb-3">
+                        <div class="w-6 h-6 md:w-8 md:h-8 bg-gradient-to-br from-green-500 to-green-600 rounded-full flex items-center justify-center text-white mr-2">
+                            <i class="${getSubjectIcon(subject)} text-xs md:text-sm"></i>
+                        </div>
+                        <h4>${escapeHtml(subject)}</h4>
+                    </div>
+                    <div class="points-display">${stats.earnedPoints}</div>
+                    <div class="points-label">total points</div>
+                    <div class="text-xs text-gray-500 mt-2">
+                        ${stats.completedTasks}/${stats.totalTasks} tasks completed
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        subjectPointsGrid.innerHTML = subjectCardsHtml;
+        
+    } catch (error) {
+        console.error('Error loading subject points summary:', error);
+    }
+}
+
+async function loadTaskChart(progress) {
+    if (!currentUser.class) return;
+    
+    try {
+        const tasks = await loadStudentTasks(currentUser.class, currentUser.username);
+        const activeTaskIds = new Set(Array.isArray(tasks) ? tasks.map(task => String(task.task_id)) : []);
+        const completedTasks = [...getCompletedTaskProgress(progress).keys()]
+            .filter(taskId => activeTaskIds.has(taskId)).length;
+        const totalTasks = Array.isArray(tasks) ? tasks.length : 0;
+        const pendingTasks = Math.max(0, totalTasks - completedTasks);
+
+        const ctx = document.getElementById('taskChart');
+        if (!ctx) return;
+        
+        if (chartInstances.taskChart) {
+            chartInstances.taskChart.destroy();
+        }
+        
+        chartInstances.taskChart = new Chart(ctx.getContext('2d'), {
+            type: 'doughnut',
+            data: {
+                labels: ['Completed', 'Pending'],
+                datasets: [{
+                    data: [completedTasks, pendingTasks],
+                    backgroundColor: ['#059669', '#e5e7eb'],
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    }
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error loading task chart:', error);
+    }
+}
+
+// =============================
+// 📉 Trend Charts
+// =============================
+// Time series for one student's term, drawn on both status pages from the
+// completion date of each task's latest progress row: cumulative points per
+// subject by week, the share of each month's tasks completed (by due month)
+// and on-time versus late completions (by completion month, late meaning
+// completed after the task's due_date).
+const TREND_COLORS = ['#059669', '#2563eb', '#d97706', '#7c3aed', '#db2777', '#0891b2', '#65a30d', '#dc2626'];
+
+// Progress dates are YYYY-MM-DD, due dates MM-DD-YYYY; both at local midnight
+function parseTaskDate(value) {
+    const text = String(value || '').trim();
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(text);
+    if (isNaN(date.getTime())) return null;
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+// Monday of the date's week
+function getWeekStart(date) {
+    const start = new Date(date);
+    start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    return start;
+}
+
+function monthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function monthLabel(key) {
+    const [year, month] = key.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+}
+
+function buildTrendData(tasks, progress) {
+    const completed = getCompletedTaskProgress(progress);
+    const entries = tasks.map(task => {
+        const entry = completed.get(String(task.task_id));
+        return {
+            subject: task.subject || 'General',
+            due: parseTaskDate(task.due_date),
+            completedOn: entry ? parseTaskDate(entry.date) : null,
+            points: entry ? parseInt(entry.grade || 0) : 0
+        };
+    });
+    const done = entries.filter(entry => entry.completedOn);
+    
+    // Weeks from the first completion to the latest one
+    const weeks = [];
+    if (done.length > 0) {
+        const times = done.map(entry => entry.completedOn.getTime());
+        const last = getWeekStart(new Date(Math.max(...times)));
+        for (let week = getWeekStart(new Date(Math.min(...times))); week <= last; week.setDate(week.getDate() + 7)) {
+            weeks.push(new Date(week));
+        }
+    }
+    const subjects = [...new Set(entries.map(entry => entry.subject))];
+    const pointsBySubject = subjects.map(subject => ({
+        subject,
+        points: weeks.map(week => {
+            const weekEnd = new Date(week);
+            weekEnd.setDate(weekEnd.getDate() + 7);
+            return done
+                .filter(entry => entry.subject === subject && entry.completedOn < weekEnd)
+                .reduce((sum, entry) => sum + entry.points, 0);
+        })
+    }));
+    
+    const months = [...new Set([
+        ...entries.filter(entry => entry.due).map(entry => monthKey(entry.due)),
+        ...done.map(entry => monthKey(entry.completedOn))
+    ])].sort();
+    // Tasks not yet due only count once they are completed
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const completionRate = months.map(month => {
+        const due = entries.filter(entry => entry.due && monthKey(entry.due) === month &&
+            (entry.completedOn || entry.due < today));
+        return due.length ? Math.round(due.filter(entry => entry.completedOn).length / due.length * 100) : null;
+    });
+    const onTime = months.map(month => done.filter(entry =>
+        monthKey(entry.completedOn) === month && (!entry.due || entry.completedOn <= entry.due)
+    ).length);
+    const late = months.map(month => done.filter(entry =>
+        monthKey(entry.completedOn) === month && entry.due && entry.completedOn > entry.due
+    ).length);
+    
+    return { weeks, pointsBySubject, months, completionRate, onTime, late };
+}
+
+// "Improving" / "Slipping" from the last two months that had tasks due
+function describeTrend(trend) {
+    const rated = trend.months
+        .map((month, index) => ({ month, rate: trend.completionRate[index] }))
+        .filter(item => item.rate !== null);
+    const lateCount = trend.late.reduce((sum, count) => sum + count, 0);
+    const completedCount = lateCount + trend.onTime.reduce((sum, count) => sum + count, 0);
+    const lateText = completedCount ? ` ${lateCount} of ${completedCount} completed task(s) were late.` : '';
+    
+    if (rated.length < 2) return `Not enough months yet to show a trend.${lateText}`;
+    const [previous, latest] = rated.slice(-2);
+    const change = latest.rate - previous.rate;
+    const direction = change > 0 ? 'Improving' : change < 0 ? 'Slipping' : 'Steady';
+    return `${direction}: ${latest.rate}% of ${monthLabel(latest.month)}'s tasks completed, ` +
+        `against ${previous.rate}% in ${monthLabel(previous.month)}.${lateText}`;
+}
+
+// ids: { points, completion, timeliness, summary } element ids on the page
+function renderTrendCharts(instances, ids, tasks, progress) {
+    const trend = buildTrendData(tasks, progress);
+    const draw = (key, canvasId, config) => {
+        if (instances[key]) instances[key].destroy();
+        const canvas = document.getElementById(canvasId);
+        instances[key] = canvas ? new Chart(canvas.getContext('2d'), config) : null;
+    };
+    const baseOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: { legend: { position: 'bottom' } }
+    };
+    
+    draw('pointsTrend', ids.points, {
+        type: 'line',
+        data: {
+            labels: trend.weeks.map(week => week.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })),
+            datasets: trend.pointsBySubject.map(({ subject, points }, index) => ({
+                label: subject,
+                data: points,
+                borderColor: TREND_COLORS[index % TREND_COLORS.length],
+                backgroundColor: TREND_COLORS[index % TREND_COLORS.length],
+                tension: 0.2,
+                fill: false
+            }))
+        },
+        options: { ...baseOptions, scales: { y: { beginAtZero: true, title: { display: true, text: 'Points' } } } }
+    });
+    
+    draw('completionTrend', ids.completion, {
+        type: 'bar',
+        data: {
+            labels: trend.months.map(monthLabel),
+            datasets: [{
+                label: 'Tasks completed (%)',
+                data: trend.completionRate,
+                backgroundColor: '#059669'
+            }]
+        },
+        options: { ...baseOptions, scales: { y: { beginAtZero: true, max: 100 } } }
+    });
+    
+    draw('timelinessTrend', ids.timeliness, {
+        type: 'bar',
+        data: {
+            labels: trend.months.map(monthLabel),
+            datasets: [
+                { label: 'On time', data: trend.onTime, backgroundColor: '#059669' },
+                { label: 'Late', data: trend.late, backgroundColor: '#dc2626' }
+            ]
+        },
+        options: {
+            ...baseOptions,
+            scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } } }
+        }
+    });
+    
+    const summary = document.getElementById(ids.summary);
+    if (summary) summary.textContent = tasks.length ? describeTrend(trend) : `No tasks in ${termLabel(getSelectedTerm())}.`;
+}
+
+async function loadTrendCharts(progress) {
+    if (!currentUser.class) return;
+    
+    try {
+        const tasks = await loadStudentTasks(currentUser.class, currentUser.username);
+        renderTrendCharts(chartInstances, {
+            points: 'pointsTrendChart',
+            completion: 'completionTrendChart',
+            timeliness: 'timelinessTrendChart',
+            summary: 'trendSummary'
+        }, Array.isArray(tasks) ? tasks : [], progress);
+    } catch (error) {
+        console.error('Error loading trend charts:', error);
+    }
+}
+
+async function loadAdminTrendCharts(progress, userClass, username) {
+    if (!userClass) return;
+    
+    try {
+        const tasks = await loadStudentTasks(userClass, username);
+        renderTrendCharts(adminChartInstances, {
+            points: 'adminPointsTrendChart',
+            completion: 'adminCompletionTrendChart',
+            timeliness: 'adminTimelinessTrendChart',
+            summary: 'adminTrendSummary'
+        }, Array.isArray(tasks) ? tasks : [], progress);
+    } catch (error) {
+        console.error('Error loading admin trend charts:', error);
+    }
+}
+
+// =============================
+// 👨‍💼 Admin Functions (SUPER OPTIMIZED)
+// =============================
+async function loadAdminData() {
+    try {
+        if (currentUser.role === 'admin') {
+            let adminClasses = [];
+            let adminSubjects = {};
+            
+            // Parse classes (optimized)
+            if (currentUser.class) {
+                adminClasses = currentUser.class.toString().trim()
+                    .split(/[,\s]+/)
+                    .map(c => c.trim())
+                    .filter(c => c && /^\d+$/.test(c));
+            }
+            
+            // Parse subjects (optimized)
+            if (currentUser.subjects && adminClasses.length > 0) {
+                const subjectsStr = currentUser.subjects.toString().trim();
+                const bracketMatches = subjectsStr.match(/\(\d+-[^)]+\)/g);
+                
+                if (bracketMatches) {
+                    bracketMatches.forEach(match => {
+                        const [classNum, subjectsString] = match.slice(1, -1).split('-', 2);
+                        if (classNum && subjectsString) {
+                            const subjects = subjectsString.toLowerCase() === 'all' 
+                                ? ['english', 'mathematics', 'urdu', 'arabic', 'malayalam', 'social science', 'science']
+                                : subjectsString.split(',').map(s => s.trim().toLowerCase()).filter(s => s);
+                            
+                            if (subjects.length > 0 && adminClasses.includes(classNum.trim())) {
+                                adminSubjects[classNum.trim()] = subjects;
+                            }
+                        }
+                    });
+                } else {
+                    const subjects = subjectsStr.split(',').map(s => s.trim().toLowerCase()).filter(s => s);
+                    adminClasses.forEach(classNum => {
+                        adminSubjects[classNum] = [...subjects];
+                    });
+                }
+            }
+            
+            // Pre-load all task sheets in parallel
+            const taskSheetPromises = adminClasses.map(classNum => 
+                api.getSheet(`${classNum}_tasks_master`).then(tasks => ({
+                    classNum,
+                    tasks: tasks && Array.isArray(tasks) ? tasks : []
+                }))
+            );
+            
+            const taskResults = await Promise.all(taskSheetPromises);
+            
+            // Verify subjects exist and optimize
+            taskResults.forEach(({ classNum, tasks }) => {
+                if (tasks.length > 0) {
+                    const classSubjects = [...new Set(tasks.map(task => 
+                        task.subject ? task.subject.toLowerCase().trim() : ''
+                    ).filter(s => s))];
+                    
+                    if (adminSubjects[classNum]) {
+                        adminSubjects[classNum] = adminSubjects[classNum].filter(subject => 
+                            classSubjects.includes(subject.toLowerCase())
+                        );
+                    } else {
+                        adminSubjects[classNum] = [];
+                    }
+                } else {
+                    adminSubjects[classNum] = [];
+                }
+            });
+            
+            currentUser.adminClasses = adminClasses;
+            currentUser.adminSubjects = adminSubjects;
+            
+            // Update UI immediately
+            const teachingInfo = document.getElementById('teachingSubjects');
+            if (teachingInfo) {
+                if (adminClasses.length > 0) {
+                    const classText = `Classes: ${adminClasses.join(', ')}`;
+                    const subjectText = Object.entries(adminSubjects).map(([cls, subjs]) => 
+                        `Class ${cls}: ${subjs.length > 0 ? subjs.join(', ') : 'No subjects'}`
+                    ).join(' | ');
+                    teachingInfo.textContent = `${classText} | ${subjectText}`;
+                } else {
+                    teachingInfo.textContent = 'No classes or subjects assigned';
+                }
+            }
+            
+            // Load admin tasks UI immediately after data processing
+            await loadAdminTasks();
+        }
+    } catch (error) {
+        console.error('Error loading admin data:', error);
+        const teachingInfo = document.getElementById('teachingSubjects');
+        if (teachingInfo) {
+            teachingInfo.textContent = 'Error loading teaching assignments';
+        }
+    }
+}
+
+async function loadAdminTasks() {
+    const adminTaskClassSelect = document.getElementById('adminTaskClassSelect');
+    const adminTaskSubjectSelect = document.getElementById('adminTaskSubjectSelect');
+    
+    if (!adminTaskClassSelect || !adminTaskSubjectSelect) return;
+    
+    // Clear existing options
+    adminTaskClassSelect.innerHTML = '<option value="">-- Select Class --</option>';
+    adminTaskSubjectSelect.innerHTML = '<option value="">-- Select Subject --</option>';
+    adminTaskSubjectSelect.disabled = true;
+    
+    // Only show admin's assigned classes
+    if (currentUser.adminClasses && currentUser.adminClasses.length > 0) {
+        currentUser.adminClasses.forEach(classNum => {
+            const option = document.createElement('option');
+            option.value = classNum;
+            option.textContent = `Class ${classNum}`;
+            adminTaskClassSelect.appendChild(option);
+        });
+    } else {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = 'No classes assigned';
+        option.disabled = true;
+        adminTaskClassSelect.appendChild(option);
+        return;
+    }
+    
+    // Remove existing event listeners first
+    adminTaskClassSelect.removeEventListener('change', handleClassChange);
+    adminTaskSubjectSelect.removeEventListener('change', handleSubjectChange);
+    
+    // Add event listeners
+    adminTaskClassSelect.addEventListener('change', handleClassChange);
+    adminTaskSubjectSelect.addEventListener('change', handleSubjectChange);
+    
+    loadNeedsAttention();
+}
+
+// Separate event handler functions
+async function handleClassChange() {
+    const selectedClass = this.value;
+    const subjectSelect = document.getElementById('adminTaskSubjectSelect');
+    subjectSelect.innerHTML = '<option value="">-- Select Subject --</option>';
+    navigateTo({ class: selectedClass || null, subject: null, student: null });
+    
+    if (selectedClass) {
+        subjectSelect.disabled = false;
+        
+        let availableSubjects = currentUser.adminSubjects[selectedClass] || [];
+        
+        if (availableSubjects.length > 0) {
+            availableSubjects.forEach(subject => {
+                const option = document.createElement('option');
+                option.value = subject.toLowerCase();
+                option.textContent = subject.charAt(0).toUpperCase() + subject.slice(1);
+                subjectSelect.appendChild(option);
+            });
+        } else {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No subjects assigned to this class';
+            option.disabled = true;
+            subjectSelect.appendChild(option);
+        }
+    } else {
+        subjectSelect.disabled = true;
+    }
+    
+    document.getElementById('adminTasksClassSubjectView').classList.add('hidden');
+    document.getElementById('adminTasksDefaultView').classList.remove('hidden');
+}
+
+async function handleSubjectChange() {
+    const selectedClass = document.getElementById('adminTaskClassSelect').value;
+    const selectedSubject = this.value;
+    
+    if (selectedClass && selectedSubject) {
+        const hasAccess = currentUser.adminSubjects && 
+                         currentUser.adminSubjects[selectedClass] && 
+                         currentUser.adminSubjects[selectedClass].includes(selectedSubject);
+        
+        if (hasAccess) {
+            selectedClassForModal = selectedClass;
+            selectedSubjectForModal = selectedSubject;
+            navigateTo({ subject: selectedSubject, student: null });
+            await loadAdminClassSubjectData(selectedClass, selectedSubject);
+        } else {
+            alert('Access denied: You are not assigned to this class-subject combination.');
+            this.value = '';
+        }
+    } else {
+        navigateTo({ subject: null, student: null });
+        document.getElementById('adminTasksClassSubjectView').classList.add('hidden');
+        document.getElementById('adminTasksDefaultView').classList.remove('hidden');
+    }
+}
+
+async function loadAdminClassSubjectData(classNum, subject) {
+    try {
+        // A grid opened for another class or subject no longer applies
+        if (gradingGridState && (gradingGridState.classNum !== classNum || gradingGridState.subject !== subject)) {
+            hideGradingGrid();
+        }
+        
+        // Show class subject view
+        document.getElementById('adminTasksDefaultView').classList.add('hidden');
+        document.getElementById('adminTasksClassSubjectView').classList.remove('hidden');
+        
+        // Update selected info
+        document.getElementById('selectedClassSubjectInfo').textContent = `Class ${classNum} - ${subject.charAt(0).toUpperCase() + subject.slice(1)}`;
+        document.getElementById('latePolicyForm').classList.add('hidden');
+        loadLatePolicy(classNum, subject).catch(error => console.error('Error loading late policy:', error));
+        
+        // Load tasks for this class and subject
+        const tasksSheetName = `${classNum}_tasks_master`;
+        const tasks = getTermTasks(await api.getSheet(tasksSheetName));
+        
+        const adminClassSubjectTasksList = document.getElementById('adminClassSubjectTasksList');
+        
+        // Show skeleton while loading
+        adminClassSubjectTasksList.innerHTML = `
+            <div class="animate-pulse space-y-3">
+                ${Array(2).fill(0).map(() => `
+                    <div class="bg-gray-50 rounded-lg p-4 border">
+                        <div class="flex justify-between items-center mb-2">
+                            <div class="h-4 bg-gray-200 rounded w-16"></div>
+                            <div class="h-6 bg-gray-200 rounded w-20"></div>
+                        </div>
+                        <div class="h-5 bg-gray-200 rounded w-3/4 mb-2"></div>
+                        <div class="h-4 bg-gray-200 rounded w-full mb-2"></div>
+                        <div class="h-3 bg-gray-200 rounded w-32"></div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        if (!tasks || tasks.error || tasks.length === 0) {
+            adminClassSubjectTasksList.innerHTML = `<p class="text-gray-500 text-center py-8">No tasks found for this class in ${termLabel(getSelectedTerm())}.</p>`;
+        } else {
+            // Filter tasks by subject, archived tasks last
+            const subjectTasks = tasks.filter(task => 
+                task.subject && task.subject.toLowerCase() === subject.toLowerCase()
+            ).sort((a, b) => isTaskArchived(a) - isTaskArchived(b));
+            
+            if (subjectTasks.length === 0) {
+                adminClassSubjectTasksList.innerHTML = `<p class="text-gray-500 text-center py-8">No tasks found for ${subject} in Class ${classNum} in ${termLabel(getSelectedTerm())}.</p>`;
+            } else {
+                const today = new Date();
+                today.setHours(0, 0, 0, 0);
+                
+                const tasksHtml = subjectTasks.map(task => {
+                    const dueDate = new Date(task.due_date);
+                    dueDate.setHours(0, 0, 0, 0);
+                    const isOverdue = dueDate < today;
+                    const isDueToday = dueDate.getTime() === today.getTime();
+                    const archived = isTaskArchived(task);
+                    const draft = isTaskDraft(task);
+                    const scheduled = isTaskScheduled(task, today);
+                    const rubric = getTaskRubric(task);
+                    
+                    let statusClass = 'status-pending';
+                    let statusText = 'Active';
+                    
+                    if (archived) {
+                        statusClass = 'status-archived';
+                        statusText = 'Archived';
+                    } else if (draft) {
+                        statusClass = 'status-draft';
+                        statusText = 'Draft';
+                    } else if (scheduled) {
+                        statusClass = 'status-scheduled';
+                        statusText = 'Scheduled';
+                    } else if (isOverdue) {
+                        statusClass = 'status-overdue';
+                        statusText = 'Overdue';
+                    } else if (isDueToday) {
+                        statusClass = 'status-pending';
+                        statusText = 'Due Today';
+                    }
+                    
+                    return `
+                        <div class="task-item ${archived ? 'task-archived' : ''}">
+                            <div class="flex items-start justify-between">
+                                <div class="flex-1">
+                                    <div class="flex items-center justify-between mb-2">
+                                        <span class="task-id-badge">${task.task_id}</span>
+                                        <span class="task-status ${statusClass}">${statusText}</span>
+                                    </div>
+                                    <h4 class="task-title">${escapeHtml(task.title)}</h4>
+                                    <p class="task-description">${escapeHtml(task.description)}</p>
+                                    ${rubric.length ? `
+                                        <p class="text-xs text-gray-500 mb-2">
+                                            <i class="fas fa-list-ol mr-1"></i>Rubric: ${rubric.map(c => `${escapeHtml(c.name)} (${c.value})`).join(', ')}
+                                        </p>
+                                    ` : ''}
+                                    <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                                        <p class="task-due-date">
+                                            <i class="fas fa-calendar-alt"></i>
+                                            Due: ${new Date(task.due_date).toLocaleDateString('en-US', {
+                                                year: 'numeric',
+                                                month: 'short',
+                                                day: 'numeric'
+                                            })}
+                                            ${!archived && parseTaskDate(task.publish_date) ? `
+                                                • ${scheduled ? 'Publishes' : 'Published'} ${parseTaskDate(task.publish_date).toLocaleDateString('en-US', {
+                                                    month: 'short',
+                                                    day: 'numeric'
+                                                })}
+                                            ` : ''}
+                                        </p>
+                                        <div class="task-actions term-write">
+                                            ${archived ? `
+                                                <button onclick="restoreTask('${task.task_id}')" class="task-action-btn text-green-600">
+                                                    <i class="fas fa-undo mr-1"></i>Restore
+                                                </button>
+                                            ` : `
+                                                ${draft || scheduled ? `
+                                                    <button onclick="publishTask('${task.task_id}')" class="task-action-btn text-green-600">
+                                                        <i class="fas fa-paper-plane mr-1"></i>Publish now
+                                                    </button>
+                                                ` : ''}
+                                                <button onclick="openEditTaskModal('${task.task_id}')" class="task-action-btn text-blue-600">
+                                                    <i class="fas fa-edit mr-1"></i>Edit
+                                                </button>
+                                                <button onclick="archiveTask('${task.task_id}')" class="task-action-btn text-red-600">
+                                                    <i class="fas fa-archive mr-1"></i>Archive
+                                                </button>
+                                            `}
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+                
+                adminClassSubjectTasksList.innerHTML = tasksHtml;
+            }
+        }
+        
+        // Load students in this class
+        await loadAdminClassStudents(classNum);
+        
+    } catch (error) {
+        console.error('Error loading admin class subject data:', error);
+        document.getElementById('adminClassSubjectTasksList').innerHTML = '<p class="text-red-500 text-center py-8">Error loading tasks. Please try again.</p>';
+    }
+}
+
+// Active students of a class (deactivated users are left off class lists)
+function getClassStudents(users, classNum) {
+    return Array.isArray(users) ? users.filter(user => 
+        user.role === 'student' && String(user.class) === String(classNum) && isUserActive(user)
+    ) : [];
+}
+
+async function loadAdminClassStudents(classNum) {
+    try {
+        const users = await api.getUserRoster();
+        const adminClassStudentsList = document.getElementById('adminClassStudentsList');
+        
+        // Show skeleton
+        adminClassStudentsList.innerHTML = `
+            <div class="animate-pulse grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                ${Array(6).fill(0).map(() => `
+                    <div class="bg-white rounded-lg p-4 border-2 border-gray-200 text-center">
+                        <div class="w-12 h-12 bg-gray-200 rounded-full mx-auto mb-3"></div>
+                        <div class="h-4 bg-gray-200 rounded w-3/4 mx-auto mb-2"></div>
+                        <div class="h-3 bg-gray-200 rounded w-1/2 mx-auto mb-2"></div>
+                        <div class="h-6 bg-gray-200 rounded w-16 mx-auto"></div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        if (!users || users.error) {
+            adminClassStudentsList.innerHTML = '<p class="text-red-500 text-center py-8">Error loading students.</p>';
+            return;
+        }
+        
+        // Filter students by class
+        const classStudents = getClassStudents(users, classNum);
+        
+        if (classStudents.length === 0) {
+            adminClassStudentsList.innerHTML = `<p class="text-gray-500 text-center py-8">No students found in Class ${classNum}.</p>`;
+            return;
+        }
+        
+        const studentsHtml = classStudents.map(student => {
+            const initials = student.full_name ? 
+                student.full_name.split(' ').map(n => n[0]).join('').toUpperCase().substring(0, 2) : 
+                student.username.substring(0, 2).toUpperCase();
+            
+            return `
+                <div class="student-card" data-username="${escapeHtml(student.username)}" data-name="${escapeHtml(student.full_name || student.username)}">
+                    <div class="student-avatar">${escapeHtml(initials)}</div>
+                    <div class="student-name">${escapeHtml(student.full_name || student.username)}</div>
+                    <div class="student-username">@${escapeHtml(student.username)}</div>
+                    <div class="student-class">Class ${escapeHtml(student.class)}</div>
+                </div>
+            `;
+        }).join('');
+        
+        adminClassStudentsList.innerHTML = studentsHtml;
+        adminClassStudentsList.querySelectorAll('.student-card').forEach(card => {
+            card.addEventListener('click', () => openStudentTaskModal(card.dataset.username, card.dataset.name, classNum));
+        });
+        
+    } catch (error) {
+        console.error('Error loading admin class students:', error);
+        const adminClassStudentsList = document.getElementById('adminClassStudentsList');
+        adminClassStudentsList.innerHTML = '<p class="text-red-500 text-center py-8">Error loading students. Please try again.</p>';
+    }
+}
+
+async function openStudentTaskModal(username, fullName, classNum) {
+    try {
+        const modal = document.getElementById('studentTaskModal');
+        const title = document.getElementById('studentTaskModalTitle');
+        const content = document.getElementById('studentTaskModalContent');
+        
+        title.textContent = `Tasks for ${fullName} - ${selectedSubjectForModal}`;
+        selectedStudentForModal = username;
+        studentTaskModalStudent = { username, fullName, classNum };
+        navigateTo({ student: username });
+        
+        // Show skeleton immediately
+        content.innerHTML = `
+            <div class="animate-pulse space-y-4">
+                ${Array(3).fill(0).map(() => `
+                    <div class="bg-gray-50 rounded-lg p-4 border-2 border-gray-200">
+                        <div class="flex items-start space-x-3">
+                            <div class="w-4 h-4 bg-gray-200 rounded mt-1"></div>
+                            <div class="flex-1">
+                                <div class="flex justify-between items-center mb-2">
+                                    <div class="h-4 bg-gray-200 rounded w-16"></div>
+                                    <div class="h-6 bg-gray-200 rounded w-20"></div>
+                                </div>
+                                <div class="h-5 bg-gray-200 rounded w-3/4 mb-2"></div>
+                                <div class="h-4 bg-gray-200 rounded w-full mb-2"></div>
+                                <div class="h-3 bg-gray-200 rounded w-32"></div>
+                            </div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        modal.classList.remove('hidden');
+        
+        // Load student's progress, submissions, feedback, extensions, class tasks and late policy in parallel
+        const [allProgress, allTasks, submissions, feedback, extensions, latePolicies] = await Promise.all([
+            api.getSheet(`${username}_progress`),
+            api.getSheet(`${classNum}_tasks_master`),
+            api.getSheet(`${username}_submissions`),
+            api.getSheet(`${username}_feedback`),
+            api.getSheet(`${username}_extensions`),
+            api.getSheet('late_policies')
+        ]);
+        studentTaskLatePolicy = getLatePolicy(latePolicies, classNum, selectedSubjectForModal);
+        const progress = getTermProgress(allProgress);
+        const tasks = applyTaskExtensions(getTermTasks(allTasks), extensions);
+        const readOnly = isTermReadOnly();
+        
+        if (!tasks || tasks.error || tasks.length === 0) {
+            content.innerHTML = `<p class="text-gray-500 text-center py-8">No tasks found for this class in ${termLabel(getSelectedTerm())}.</p>`;
+            return;
+        }
+        
+        // Filter tasks by the selected subject (archived tasks cannot be graded)
+        const activeTasks = getActiveTasks(tasks);
+        const subjectTasks = selectedSubjectForModal ? 
+            activeTasks.filter(task => task.subject && task.subject.toLowerCase() === selectedSubjectForModal.toLowerCase()) :
+            activeTasks;
+        
+        if (subjectTasks.length === 0) {
+            content.innerHTML = `<p class="text-gray-500 text-center py-8">No tasks found for ${selectedSubjectForModal} in this class.</p>`;
+            return;
+        }
+        
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        
+        const latestProgress = getLatestTaskProgress(progress);
+        const latestSubmissions = getLatestSubmissions(submissions);
+        const feedbackThreads = getFeedbackThreads(feedback);
+        
+        const tasksHtml = subjectTasks.map(task => {
+            const latestEntry = latestProgress.get(String(task.task_id));
+            const userTask = latestEntry && latestEntry.status === "complete" ? latestEntry : null;
+            const submission = latestSubmissions.get(String(task.task_id));
+            
+            const completed = !!userTask;
+            const submitted = !completed && !!latestEntry && latestEntry.status === 'submitted';
+            const currentGrade = userTask ? parseInt(userTask.grade || 0) : 0;
+            const maxPoints = getTaskMaxPoints(task);
+            const rubric = getTaskRubric(task);
+            
+            // New marks default to full marks, as before
+            let gradeValues = gradeInputValues(task, userTask);
+            if (!completed) {
+                gradeValues = Object.fromEntries(getGradeCriteria(task).map(c => [c.name, c.value]));
+            }
+            const missingBreakdown = completed && rubric.length > 0 && !userTask.breakdown;
+            
+            const dueDate = new Date(task.due_date);
+            dueDate.setHours(0, 0, 0, 0);
+            const isOverdue = !completed && !task.exempt && dueDate < today;
+            const isDueToday = dueDate.getTime() === today.getTime();
+            
+            let taskClass = 'admin-task-item';
+            let statusIcon = '';
+            let statusText = '';
+            
+            if (completed) {
+                taskClass += ' completed';
+                statusIcon = '<i class="fas fa-check-circle text-green-500"></i>';
+                statusText = `Completed (${currentGrade}/${maxPoints}${parseInt(userTask.penalty) > 0 && userTask.penalty_waived !== 'yes' ? `, late −${userTask.penalty}` : ''})`;
+            } else if (submitted) {
+                statusIcon = '<i class="fas fa-inbox text-purple-500"></i>';
+                statusText = 'Submitted – awaiting review';
+            } else if (task.exempt) {
+                statusIcon = '<i class="fas fa-user-shield text-gray-500"></i>';
+                statusText = 'Exempt';
+            } else if (isOverdue) {
+                statusIcon = '<i class="fas fa-exclamation-triangle text-red-500"></i>';
+                statusText = 'Overdue';
+            } else if (isDueToday) {
+                statusIcon = '<i class="fas fa-clock text-orange-500"></i>';
+                statusText = 'Due Today';
+            } else {
+                statusIcon = '<i class="fas fa-clock text-gray-400"></i>';
+                statusText = 'Pending';
+            }
+            
+            return `
+                <div class="${taskClass}">
+                    <div class="flex items-start space-x-3">
+                        <input type="checkbox" 
+                               ${progressRecordAttributes(username, task, latestEntry)}
+                               ${completed ? 'checked' : ''}
+                               ${readOnly ? 'disabled' : ''}
+                               class="task-checkbox"
+                               onchange="toggleGradeSection('${task.task_id}', this.checked)">
+                        <div class="flex-1">
+                            <div class="flex items-center justify-between mb-2">
+                                <span class="task-id-badge">${task.task_id}</span>
+                                <div class="flex items-center space-x-2">
+                                    ${statusIcon}
+                                    <span class="text-xs font-medium">${statusText}</span>
+                                </div>
+                            </div>
+                            <h4 class="task-title">${escapeHtml(task.title)}</h4>
+                            <p class="task-description">${escapeHtml(task.description)}</p>
+                            <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mt-2">
+                                <p class="task-due-date">
+                                    <i class="fas fa-calendar-alt mr-1"></i>
+                                    Due: ${new Date(task.due_date).toLocaleDateString('en-US', {
+                                        year: 'numeric',
+                                        month: 'short',
+                                        day: 'numeric'
+                                    })}
+                                    ${task.extended ? `<span class="text-indigo-600">(extended from ${new Date(task.class_due_date).toLocaleDateString('en-US', {
+                                        month: 'short',
+                                        day: 'numeric'
+                                    })})</span>` : ''}
+                                </p>
+                                <span class="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">
+                                    ${escapeHtml(task.subject)}
+                                </span>
+                            </div>
+                            <div class="term-write mt-1">
+                                <button type="button" onclick="toggleExtensionEditor('${task.task_id}')" class="text-xs text-indigo-600 hover:underline">
+                                    <i class="fas fa-calendar-plus mr-1"></i>Extension or exemption
+                                </button>
+                                <div id="extension-${task.task_id}" class="extension-editor hidden">
+                                    <input type="date" id="extension-date-${task.task_id}" value="${toDateInputValue(task.due_date)}">
+                                    <button type="button" onclick="saveTaskExtension('${task.task_id}', 'extend')" class="bg-indigo-600 hover:bg-indigo-700 text-white">Extend</button>
+                                    <button type="button" onclick="saveTaskExtension('${task.task_id}', 'exempt')" class="bg-gray-600 hover:bg-gray-700 text-white">Exempt</button>
+                                    ${task.extended || task.exempt ? `
+                                        <button type="button" onclick="saveTaskExtension('${task.task_id}', 'clear')" class="bg-white border border-gray-300 text-gray-700">Clear</button>
+                                    ` : ''}
+                                    <p class="text-xs text-gray-500 w-full">Applies straight away and reloads this list; save any marks first.</p>
+                                </div>
+                            </div>
+                            ${submission ? renderSubmission(submission) : ''}
+                            <div class="grade-section ${completed ? 'show' : ''}" id="grade-${task.task_id}">
+                                ${rubric.length ? `
+                                    <div class="grade-input-group">
+                                        <span class="grade-label">${completed ? 'Re-grade points:' : 'Points:'}</span>
+                                        <span class="grade-label" id="grade-total-${task.task_id}"></span>
+                                    </div>
+                                    ${rubric.map(criterion => `
+                                        <div class="grade-input-group mt-1">
+                                            <span class="grade-label w-28">${escapeHtml(criterion.name)} (/${criterion.value})</span>
+                                            ${renderGradeInputs([criterion], gradeValues, 'grade-input',
+                                                `oninput="updateGradeTotal('${task.task_id}')"`)}
+                                        </div>
+                                    `).join('')}
+                                ` : `
+                                    <div class="grade-input-group">
+                                        <span class="grade-label">${completed ? 'Re-grade points:' : 'Points:'}</span>
+                                        ${renderGradeInputs(getGradeCriteria(task), gradeValues, 'grade-input',
+                                            `placeholder="Enter points" oninput="updateGradeTotal('${task.task_id}')"`)}
+                                        <span class="grade-label">/ ${maxPoints}</span>
+                                    </div>
+                                `}
+                                <div class="late-penalty hidden" id="late-${task.task_id}">
+                                    <p class="text-xs text-orange-700" id="late-note-${task.task_id}"></p>
+                                    <label class="inline-flex items-center text-xs text-gray-600">
+                                        <input type="checkbox" id="waive-${task.task_id}" class="mr-1"
+                                               ${completed && userTask.penalty_waived === 'yes' ? 'checked' : ''}
+                                               ${readOnly ? 'disabled' : ''}
+                                               onchange="updateGradeTotal('${task.task_id}')">
+                                        Waive late penalty
+                                    </label>
+                                </div>
+                                ${missingBreakdown ? `<p class="text-xs text-orange-600 mt-1">Graded ${rawProgressGrade(userTask)}/${maxPoints} before the rubric was set; enter marks per criterion to re-grade.</p>` : ''}
+                                ${completed ? '<p class="text-xs text-gray-500 mt-1">Change the points to re-grade, or untick to revert to pending.</p>' : ''}
+                            </div>
+                            ${completed ? `
+                                <p class="revert-note hidden text-xs text-red-600 mt-2" id="revert-note-${task.task_id}">
+                                    <i class="fas fa-undo mr-1"></i>Will be reverted to pending
+                                </p>
+                            ` : ''}
+                            ${renderFeedbackThread(feedbackThreads.get(String(task.task_id)))}
+                            <div class="feedback-editor term-write">
+                                <textarea id="feedback-${task.task_id}" rows="2"
+                                    placeholder="${feedbackThreads.has(String(task.task_id)) ? 'Reply to the student...' : 'Feedback for the student (optional)'}"></textarea>
+                                <label class="text-xs text-gray-500">
+                                    <i class="fas fa-microphone mr-1"></i>Voice note or file:
+                                    <input type="file" id="feedback-file-${task.task_id}" accept="audio/*,image/*,.pdf,.doc,.docx" class="text-xs">
+                                </label>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        content.innerHTML = tasksHtml;
+        subjectTasks.forEach(task => updateGradeTotal(task.task_id));
+        
+    } catch (error) {
+        console.error('Error opening student task modal:', error);
+        const content = document.getElementById('studentTaskModalContent');
+        content.innerHTML = '<p class="text-red-500 text-center py-8">Error loading student tasks. Please try again.</p>';
+    }
+}
+
+// Running total under a rubric task's criterion inputs, and the late penalty
+// (raw mark, deduction, final mark) when the work was handed in late
+function updateGradeTotal(taskId) {
+    const inputs = document.querySelectorAll(`#grade-${taskId} .grade-input`);
+    inputs.forEach(input => input.classList.toggle('invalid', !isValidGradeValue(input)));
+    const { grade, empty } = readGradeInputs(inputs);
+    const max = Array.from(inputs).reduce((sum, input) => sum + parseInt(input.getAttribute('data-max')), 0);
+    
+    const totalEl = document.getElementById(`grade-total-${taskId}`);
+    if (totalEl) totalEl.textContent = empty ? `– / ${max}` : `${grade} / ${max}`;
+    
+    const checkbox = document.querySelector(`#studentTaskModalContent input.task-checkbox[data-task-id="${taskId}"]`);
+    const lateSection = document.getElementById(`late-${taskId}`);
+    if (!checkbox || !lateSection) return;
+    
+    const today = new Date().toISOString().split('T')[0];
+    const waived = document.getElementById(`waive-${taskId}`).checked;
+    const penalty = planLatePenalty(checkbox, grade, studentTaskLatePolicy, today, waived);
+    lateSection.classList.toggle('hidden', penalty.percent === 0 && !waived);
+    document.getElementById(`late-note-${taskId}`).textContent = empty ?
+        `${penalty.lateDays} day(s) late: −${penalty.percent}% of the marks` :
+        `${penalty.lateDays} day(s) late: raw ${grade}/${max}, penalty −${penalty.points} (${penalty.percent}%)` +
+        `${waived ? ' waived' : ''}, final ${penalty.finalGrade}/${max}`;
+}
+
+function toggleGradeSection(taskId, isChecked) {
+    const gradeSection = document.getElementById(`grade-${taskId}`);
+    if (gradeSection) {
+        if (isChecked) {
+            gradeSection.classList.add('show');
+        } else {
+            gradeSection.classList.remove('show');
+        }
+    }
+    
+    // Unticking an already completed task reverts it
+    const revertNote = document.getElementById(`revert-note-${taskId}`);
+    if (revertNote) {
+        revertNote.classList.toggle('hidden', isChecked);
+    }
+}
+
+async function submitSelectedStudentTasks() {
+    const submitBtn = event.target;
+    const originalText = submitBtn.innerHTML;
+    if (!ensureTermWritable()) return;
+    
+    try {
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Submitting...';
+        submitBtn.disabled = true;
+        
+        const checkboxes = document.querySelectorAll('#studentTaskModalContent input.task-checkbox');
+        const today = new Date().toISOString().split('T')[0];
+        const changes = [];
+        const feedback = [];
+        
+        for (let checkbox of checkboxes) {
+            const taskId = checkbox.getAttribute('data-task-id');
+            let comment;
+            try {
+                comment = readFeedbackInput(taskId);
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            if (comment) {
+                feedback.push({
+                    username: checkbox.getAttribute('data-username'),
+                    taskId,
+                    ...comment,
+                    term: { year: checkbox.getAttribute('data-year'), term: checkbox.getAttribute('data-term') }
+                });
+            }
+            
+            const { invalid, empty, grade, breakdown } = readGradeInputs(
+                document.querySelectorAll(`#grade-${taskId} .grade-input`)
+            );
+            
+            if (checkbox.checked && invalid) {
+                alert(`Task ${taskId}: marks must be whole numbers from 0 to ${invalid.getAttribute('data-max')}.`);
+                invalid.focus();
+                return;
+            }
+            // A task graded before its rubric was set keeps its mark until
+            // the criteria are filled in
+            if (checkbox.checked && empty) {
+                if (checkbox.getAttribute('data-completed') === 'true') continue;
+                alert(`Task ${taskId}: enter the marks before marking it as completed.`);
+                return;
+            }
+            
+            const change = planProgressChange(checkbox, checkbox.checked, grade, today, breakdown, {
+                policy: studentTaskLatePolicy,
+                waived: document.getElementById(`waive-${taskId}`)?.checked ?? null
+            });
+            if (change) changes.push(change);
+        }
+        
+        if (!(await saveProgressChanges(changes, feedback))) return;
+        closeStudentTaskModal();
+        
+        // Refresh the current view
+        const selectedClass = document.getElementById('adminTaskClassSelect').value;
+        const selectedSubject = document.getElementById('adminTaskSubjectSelect').value;
+        if (selectedClass && selectedSubject) {
+            await loadAdminClassSubjectData(selectedClass, selectedSubject);
+        }
+        
+    } catch (error) {
+        console.error('Error submitting selected student tasks:', error);
+        alert('Error submitting tasks: ' + error.message);
+    } finally {
+        submitBtn.innerHTML = originalText;
+        submitBtn.disabled = false;
+    }
+}
+
+function closeStudentTaskModal() {
+    document.getElementById('studentTaskModal').classList.add('hidden');
+    selectedStudentForModal = null;
+    navigateTo({ student: null });
+}
+
+// =============================
+// 🧮 Class Grading Grid
+// =============================
+let gradingGridState = null;
+
+async function openGradingGrid() {
+    const classNum = selectedClassForModal;
+    const subject = selectedSubjectForModal;
+    if (!classNum || !subject) {
+        alert('Please select both class and subject first.');
+        return;
+    }
+    if (!ensureTermWritable()) return;
+    
+    const section = document.getElementById('gradingGridSection');
+    const container = document.getElementById('gradingGridContainer');
+    section.classList.remove('hidden');
+    container.innerHTML = '<p class="text-gray-500 text-center py-8"><i class="fas fa-spinner fa-spin mr-2"></i>Loading grading grid...</p>';
+    gradingGridState = { classNum, subject };
+    
+    try {
+        const [tasks, users, latePolicies] = await Promise.all([
+            api.getSheet(`${classNum}_tasks_master`),
+            api.getUserRoster(),
+            api.getSheet('late_policies')
+        ]);
+        gradingGridState.latePolicy = getLatePolicy(latePolicies, classNum, subject);
+        
+        const subjectTasks = (getActiveTasks(getTermTasks(tasks)) || []).filter(task =>
+            task.subject && task.subject.toLowerCase() === subject.toLowerCase()
+        );
+        const students = getClassStudents(users, classNum);
+        
+        if (subjectTasks.length === 0 || students.length === 0) {
+            container.innerHTML = `<p class="text-gray-500 text-center py-8">${subjectTasks.length === 0 ? 'No tasks' : 'No students'} to grade in Class ${classNum}.</p>`;
+            return;
+        }
+        
+        const progressSheets = await api.getBatchSheets(
+            students.flatMap(student => [`${student.username}_progress`, `${student.username}_extensions`])
+        );
+        
+        const rowsHtml = students.map((student, rowIndex) => {
+            const latestProgress = getLatestTaskProgress(getTermProgress(progressSheets[`${student.username}_progress`]));
+            
+            // Rubric tasks get one input per criterion; columns count inputs
+            // so the arrow keys step through every criterion
+            let colIndex = 0;
+            const cellsHtml = applyTaskExtensions(subjectTasks, progressSheets[`${student.username}_extensions`]).map(task => {
+                const latestEntry = latestProgress.get(String(task.task_id));
+                const criteria = getGradeCriteria(task);
+                const inputsHtml = criteria.map(criterion => renderGradeInputs(
+                    [criterion],
+                    gradeInputValues(task, latestEntry),
+                    'grading-grid-input',
+                    `data-row="${rowIndex}" data-col="${colIndex++}"
+                     onfocus="this.select()"
+                     oninput="updateGradingGridCell(this)"
+                     onkeydown="handleGradingGridKey(event)"`
+                )).join('');
+                return `
+                    <td class="grading-grid-cell${latestEntry && latestEntry.status === 'submitted' ? ' submitted' : ''}${task.exempt ? ' exempt' : ''}"
+                        ${latestEntry && latestEntry.status === 'submitted' ? 'title="Submitted – awaiting review"' : task.exempt ? 'title="Exempt"' : ''}
+                        ${progressRecordAttributes(student.username, task, latestEntry)}>
+                        ${criteria.length > 1 ? `<div class="grading-grid-rubric">${inputsHtml}</div>` : inputsHtml}
+                        <button type="button" class="grading-grid-comment" title="Add feedback" tabindex="-1"
+                                onclick="editGradingGridFeedback(this)">
+                            <i class="far fa-comment"></i>
+                        </button>
+                    </td>
+                `;
+            }).join('');
+            
+            return `
+                <tr>
+                    <td class="grading-grid-student">${escapeHtml(student.full_name || student.username)}</td>
+                    ${cellsHtml}
+                    <td class="grading-grid-total" id="grading-grid-total-${rowIndex}"></td>
+                </tr>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <table class="grading-grid">
+                <thead>
+                    <tr>
+                        <th class="grading-grid-student">Student</th>
+                        ${subjectTasks.map(task => `
+                            <th title="${escapeHtml(task.title)}">
+                                ${task.task_id}
+                                <div class="grading-grid-task-title">${escapeHtml(task.title)}</div>
+                                ${getTaskRubric(task).length ? `
+                                    <div class="grading-grid-rubric grading-grid-criterion">
+                                        ${getTaskRubric(task).map(c => `<span class="w-11" title="${escapeHtml(c.name)} (out of ${c.value})">${escapeHtml(c.name.slice(0, 4))}/${c.value}</span>`).join('')}
+                                    </div>
+                                ` : ''}
+                            </th>
+                        `).join('')}
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        `;
+        
+        students.forEach((_, rowIndex) => updateGradingGridTotal(rowIndex));
+        container.querySelector('.grading-grid-input')?.focus();
+        
+    } catch (error) {
+        console.error('Error loading grading grid:', error);
+        container.innerHTML = '<p class="text-red-500 text-center py-8">Error loading grading grid. Please try again.</p>';
+    }
+}
+
+function hideGradingGrid() {
+    document.getElementById('gradingGridSection').classList.add('hidden');
+    document.getElementById('gradingGridContainer').innerHTML = '';
+    gradingGridState = null;
+}
+
+// Changed marks or feedback that has not been saved yet
+function hasUnsavedGradingGrid() {
+    return !!document.querySelector('#gradingGridContainer .grading-grid-input.changed, #gradingGridContainer .grading-grid-cell[data-feedback]');
+}
+
+function closeGradingGrid() {
+    if (hasUnsavedGradingGrid() &&
+        !confirm('Discard unsaved marks?')) {
+        return;
+    }
+    hideGradingGrid();
+}
+
+function updateGradingGridCell(input) {
+    input.classList.toggle('invalid', !isValidGradeValue(input));
+    input.classList.toggle('changed', input.value.trim() !== input.getAttribute('data-original'));
+    updateGradingGridTotal(input.getAttribute('data-row'));
+}
+
+// Grid feedback is text only; voice notes and files go through the student modal
+function editGradingGridFeedback(button) {
+    const cell = button.closest('.grading-grid-cell');
+    const text = prompt(`Feedback on ${cell.getAttribute('data-task-id')} for this student:`, cell.getAttribute('data-feedback') || '');
+    if (text === null) return;
+    
+    if (text.trim()) {
+        cell.setAttribute('data-feedback', text.trim());
+    } else {
+        cell.removeAttribute('data-feedback');
+    }
+    button.classList.toggle('has-feedback', !!text.trim());
+    button.title = text.trim() || 'Add feedback';
+}
+
+function isGradingGridCellChanged(cell) {
+    return !!cell.querySelector('.grading-grid-input.changed');
+}
+
+// Untouched cells count their recorded grade, which also covers tasks graded
+// before their rubric was set (no breakdown to fill the inputs from); changed
+// cells count their marks after any late penalty
+function updateGradingGridTotal(rowIndex) {
+    const cells = new Set(Array.from(
+        document.querySelectorAll(`#gradingGridContainer .grading-grid-input[data-row="${rowIndex}"]`),
+        input => input.closest('.grading-grid-cell')
+    ));
+    const today = new Date().toISOString().split('T')[0];
+    const total = Array.from(cells).reduce((sum, cell) => {
+        if (!isGradingGridCellChanged(cell)) {
+            return sum + (parseInt(cell.getAttribute('data-final-grade')) || 0);
+        }
+        const inputs = Array.from(cell.querySelectorAll('.grading-grid-input')).filter(isValidGradeValue);
+        const { grade, empty } = readGradeInputs(inputs);
+        return sum + (empty ? 0 : planLatePenalty(cell, grade, gradingGridState?.latePolicy || null, today).finalGrade);
+    }, 0);
+    const totalCell = document.getElementById(`grading-grid-total-${rowIndex}`);
+    if (totalCell) totalCell.textContent = total;
+}
+
+// Spreadsheet-style movement: arrows in every direction, Enter / Shift+Enter down / up
+function handleGradingGridKey(event) {
+    const row = parseInt(event.target.getAttribute('data-row'));
+    const col = parseInt(event.target.getAttribute('data-col'));
+    const moves = {
+        ArrowUp: [row - 1, col],
+        ArrowDown: [row + 1, col],
+        ArrowLeft: [row, col - 1],
+        ArrowRight: [row, col + 1],
+        Enter: event.shiftKey ? [row - 1, col] : [row + 1, col]
+    };
+    const target = moves[event.key];
+    if (!target) return;
+    
+    // Also stops number inputs from stepping their value on up/down
+    event.preventDefault();
+    const next = document.querySelector(`#gradingGridContainer .grading-grid-input[data-row="${target[0]}"][data-col="${target[1]}"]`);
+    if (next) next.focus();
+}
+
+async function saveGradingGrid() {
+    const saveBtn = document.getElementById('gradingGridSaveBtn');
+    const originalText = saveBtn.innerHTML;
+    const inputs = Array.from(document.querySelectorAll('#gradingGridContainer .grading-grid-input'));
+    
+    const invalid = inputs.find(input => !isValidGradeValue(input));
+    if (invalid) {
+        const criterion = invalid.getAttribute('data-criterion');
+        alert(`${criterion ? `${criterion} marks` : 'Marks'} must be whole numbers from 0 to ${invalid.getAttribute('data-max')}.`);
+        invalid.focus();
+        return;
+    }
+    
+    try {
+        saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Saving...';
+        saveBtn.disabled = true;
+        
+        const today = new Date().toISOString().split('T')[0];
+        const cells = Array.from(document.querySelectorAll('#gradingGridContainer .grading-grid-cell'));
+        const changes = cells
+            .filter(isGradingGridCellChanged)
+            .map(cell => {
+                const { empty, grade, breakdown } = readGradeInputs(cell.querySelectorAll('.grading-grid-input'));
+                return planProgressChange(cell, !empty, grade, today, breakdown, { policy: gradingGridState.latePolicy });
+            })
+            .filter(Boolean);
+        const feedback = cells
+            .filter(cell => cell.hasAttribute('data-feedback'))
+            .map(cell => ({
+                username: cell.getAttribute('data-username'),
+                taskId: cell.getAttribute('data-task-id'),
+                text: cell.getAttribute('data-feedback'),
+                file: null,
+                term: { year: cell.getAttribute('data-year'), term: cell.getAttribute('data-term') }
+            }));
+        
+        if (!(await saveProgressChanges(changes, feedback))) return;
+        await openGradingGrid();
+        
+    } catch (error) {
+        console.error('Error saving grading grid:', error);
+        alert('Error saving marks: ' + error.message);
+    } finally {
+        saveBtn.innerHTML = originalText;
+        saveBtn.disabled = false;
+    }
+}
+
+// Clear admin task filters
+function clearAdminTaskFilters() {
+    document.getElementById('adminTaskClassSelect').value = '';
+    document.getElementById('adminTaskSubjectSelect').value = '';
+    document.getElementById('adminTaskSubjectSelect').disabled = true;
+    document.getElementById('adminTaskSubjectSelect').innerHTML = '<option value="">-- Select Subject --</option>';
+    
+    selectedClassForModal = null;
+    selectedSubjectForModal = null;
+    navigateTo({ class: null, subject: null, student: null });
+    hideGradingGrid();
+    
+    document.getElementById('adminTasksClassSubjectView').classList.add('hidden');
+    document.getElementById('adminTasksDefaultView').classList.remove('hidden');
+}
+
+// =============================
+// 👨‍💼 Admin Status Functions (OPTIMIZED)
+// =============================
+async function loadAllUsersStatus() {
+    try {
+        const userSelect = document.getElementById('userSelect');
+        const noUserSelected = document.getElementById('noUserSelected');
+        const selectedUserStatus = document.getElementById('selectedUserStatus');
+        
+        // Show loading in user select
+        userSelect.innerHTML = '<option value="">-- Loading Users... --</option>';
+        
+        // Load all users
+        const users = await api.getUserRoster();
+        
+        // Clear and populate user select
+        userSelect.innerHTML = '<option value="">-- Select User --</option>';
+        
+        if (users && Array.isArray(users)) {
+            const students = users.filter(user => user.role === 'student');
+            students.forEach(student => {
+                const option = document.createElement('option');
+                option.value = student.username;
+                option.textContent = `${student.full_name || student.username} (Class ${student.class || 'N/A'})`;
+                userSelect.appendChild(option);
+            });
+            
+            // Class report cards cover the admin's own classes
+            const reportClassSelect = document.getElementById('reportClassSelect');
+            const classes = currentUser.adminClasses && currentUser.adminClasses.length > 0 ?
+                currentUser.adminClasses :
+                [...new Set(students.map(student => String(student.class || '')).filter(Boolean))].sort((a, b) => a - b);
+            reportClassSelect.innerHTML = '<option value="">-- Class --</option>' +
+                classes.map(cls => `<option value="${cls}">Class ${cls}</option>`).join('');
+            populateCompareSelects(students, classes);
+        }
+        
+        // Remove existing event listeners to avoid duplication
+        const newUserSelect = userSelect.cloneNode(true);
+        userSelect.parentNode.replaceChild(newUserSelect, userSelect);
+        
+        // Add event listener for user selection
+        document.getElementById('userSelect').addEventListener('change', async function() {
+            const selectedUsername = this.value;
+            navigateTo({ student: selectedUsername || null });
+            
+            if (selectedUsername) {
+                noUserSelected.classList.add('hidden');
+                selectedUserStatus.classList.remove('hidden');
+                await loadSelectedUserStatus(selectedUsername);
+            } else {
+                noUserSelected.classList.remove('hidden');
+                selectedUserStatus.classList.add('hidden');
+            }
+        });
+        
+        // Show no user selected initially
+        noUserSelected.classList.remove('hidden');
+        selectedUserStatus.classList.add('hidden');
+        
+    } catch (error) {
+        console.error('Error loading all users status:', error);
+        const userSelect = document.getElementById('userSelect');
+        userSelect.innerHTML = '<option value="">-- Error Loading Users --</option>';
+    }
+}
+
+async function loadSelectedUserStatus(username) {
+    try {
+        // Load user data and progress in parallel
+        const [users, progress] = await Promise.all([
+            api.getUserRoster(),
+            api.getSheet(`${username}_progress`)
+        ]);
+        
+        const user = users.find(u => u.username === username);
+        
+        if (!user) {
+            alert('User not found!');
+            return;
+        }
+        
+        // Update user info display
+        document.getElementById('selectedUserName').textContent = user.full_name || user.username;
+        document.getElementById('selectedUserInfo').textContent = `Username: ${user.username} | Class: ${user.class || 'Not Assigned'} | Role: ${user.role}`;
+        
+        // Load admin status: task chart, subject points and trends
+        const termProgress = getTermProgress(progress);
+        await Promise.all([
+            loadAdminTaskChart(termProgress, user.class, user.username),
+            loadAdminSubjectPointsSummary(termProgress, user.class, user.username),
+            loadAdminTrendCharts(termProgress, user.class, user.username)
         ]);
+        
+    } catch (error) {
+        console.error('Error loading selected user status:', error);
+        alert('Error loading user status. Please try again.');
+    }
+}
+
+async function loadAdminTaskChart(progress, userClass, username) {
+    if (!userClass) return;
+    
+    try {
+        const tasks = await loadStudentTasks(userClass, username);
+        const activeTaskIds = new Set(Array.isArray(tasks) ? tasks.map(task => String(task.task_id)) : []);
+        const completedTasks = [...getCompletedTaskProgress(progress).keys()]
+            .filter(taskId => activeTaskIds.has(taskId)).length;
+        const totalTasks = Array.isArray(tasks) ? tasks.length : 0;
+        const pendingTasks = Math.max(0, totalTasks - completedTasks);
+
+        const ctx = document.getElementById('adminTaskChart');
+        if (!ctx) return;
+        
+        if (adminChartInstances.taskChart) {
+            adminChartInstances.taskChart.destroy();
+        }
+        
+        adminChartInstances.taskChart = new Chart(ctx.getContext('2d'), {
+            type: 'doughnut',
+            data: {
+                labels: ['Completed', 'Pending'],
+                datasets: [{
+                    data: [completedTasks, pendingTasks],
+                    backgroundColor: ['#059669', '#e5e7eb'],
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    }
+                }
+            }
+        });
     } catch (error) {
-        console.error('Error loading status charts:', error);
+        console.error('Error loading admin task chart:', error);
     }
 }
 
-async function loadSubjectPointsSummary(progress) {
+async function loadAdminSubjectPointsSummary(progress, userClass, username) {
     try {
-        if (!currentUser.class) return;
-        
-        const tasksSheetName = `${currentUser.class}_tasks_master`;
-        const tasks = await api.getSheet(tasksSheetName);
-        
-        if (!tasks || tasks.error || tasks.length === 0) return;
+        if (!userClass) return;
         
-        // Group tasks by subject and calculate points
-        const subjectStats = {};
+        const tasks = await loadStudentTasks(userClass, username);
+        const hasTasks = Array.isArray(tasks) && tasks.length > 0;
+        const subjectStats = hasTasks ? buildSubjectStats(tasks, progress) : {};
         
-        tasks.forEach(task => {
-            const subject = task.subject || 'General';
-            if (!subjectStats[subject]) {
-                subjectStats[subject] = {
-                    totalTasks: 0,
-                    completedTasks: 0,
-                    totalPoints: 0,
-                    earnedPoints: 0
-                };
-            }
-            
-            subjectStats[subject].totalTasks++;
-            
-            // Check if task is completed
-            const userTask = Array.isArray(progress) ? progress.find(p => 
-                String(p.item_id) === String(task.task_id) && 
-                p.item_type === "task" && 
-                p.status === "complete"
-            ) : null;
-            
-            if (userTask) {
-                subjectStats[subject].completedTasks++;
-                subjectStats[subject].earnedPoints += parseInt(userTask.grade || 0);
+        // Create or find the subject points container in admin status
+        let subjectPointsContainer = document.getElementById('adminSubjectPointsGrid');
+        if (!subjectPointsContainer) {
+            // Create the subject points section after the task chart
+            const taskChartContainer = document.getElementById('adminTaskChart')?.closest('.bg-gray-50');
+            if (taskChartContainer) {
+                const subjectPointsSection = document.createElement('div');
+                subjectPointsSection.className = 'bg-gray-50 rounded-lg p-3 md:p-4';
+                subjectPointsSection.innerHTML = `
+                    <h3 class="text-base md:text-lg font-bold mb-3 md:mb-4 text-blue-600">Subject Points Summary</h3>
+                    <div id="adminSubjectPointsGrid" class="subject-points-grid"></div>
+                `;
+                taskChartContainer.parentNode.insertBefore(subjectPointsSection, taskChartContainer.nextSibling);
+                subjectPointsContainer = document.getElementById('adminSubjectPointsGrid');
             }
-        });
+        }
         
-        // Calculate total points
-        Object.keys(subjectStats).forEach(subject => {
-            subjectStats[subject].totalPoints = subjectStats[subject].earnedPoints;
-        });
+        if (!subjectPointsContainer) return;
         
-        // Generate subject points grid
-        const subjectPointsGrid = document.getElementById('subjectPointsGrid');
-        if (!subjectPointsGrid) return;
+        if (!hasTasks) {
+            subjectPointsContainer.innerHTML = `<p class="text-gray-500 text-center py-4">No tasks in ${termLabel(getSelectedTerm())}.</p>`;
+            return;
+        }
         
         const subjectCardsHtml = Object.entries(subjectStats).map(([subject, stats]) => {
             return `
                 <div class="subject-points-card">
                     <div class="flex items-center justify-center mb-3">
-                        <div class="w-6 h-6 md:w-8 md:h-8 bg-gradient-to-br from-green-500 to-green-600 rounded-full flex items-center justify-center text-white mr-2">
+                        <div class="w-6 h-6 md:w-8 md:h-8 bg-gradient-to-br from-blue-500 to-blue-600 rounded-full flex items-center justify-center text-white mr-2">
                             <i class="${getSubjectIcon(subject)} text-xs md:text-sm"></i>
                         </div>
-                        <h4>${subject}</h4>
+                        <h4>${escapeHtml(subject)}</h4>
                     </div>
                     <div class="points-display">${stats.earnedPoints}</div>
                     <div class="points-label">total points</div>
@@ -784,993 +4241,2530 @@ async function loadSubjectPointsSummary(progress) {
             `;
         }).join('');
         
-        subjectPointsGrid.innerHTML = subjectCardsHtml;
+        subjectPointsContainer.innerHTML = subjectCardsHtml;
         
     } catch (error) {
-        console.error('Error loading subject points summary:', error);
+        console.error('Error loading admin subject points summary:', error);
     }
 }
 
-async function loadTaskChart(progress) {
-    if (!currentUser.class) return;
+// =============================
+// 👥 Compare Students
+// =============================
+// Side by side view on the admin status page for parent meetings and
+// shortlisting: up to MAX_COMPARE_STUDENTS hand-picked students, or a whole
+// class, with a grouped bar chart of points per subject and a table of each
+// subject's points, CCE marks and percentage for the selected term. Students
+// from different classes are each measured against their own class's tasks.
+const MAX_COMPARE_STUDENTS = 6;
+let compareUsernames = [];
+let compareClassNum = null;
+
+function populateCompareSelects(students, classes) {
+    document.getElementById('compareStudentSelect').innerHTML = '<option value="">-- Add a student --</option>' +
+        students.map(student => `<option value="${student.username}">${escapeHtml(student.full_name || student.username)} (Class ${student.class || 'N/A'})</option>`).join('');
+    document.getElementById('compareClassSelect').innerHTML = '<option value="">-- Class --</option>' +
+        classes.map(cls => `<option value="${cls}">Class ${cls}</option>`).join('');
+}
+
+async function addCompareStudent(username) {
+    if (!username) return;
+    // Picking students replaces a whole-class comparison
+    if (compareClassNum) {
+        compareClassNum = null;
+        compareUsernames = [];
+    }
+    if (compareUsernames.includes(username)) return;
+    if (compareUsernames.length >= MAX_COMPARE_STUDENTS) {
+        alert(`Up to ${MAX_COMPARE_STUDENTS} students can be compared at once; compare a whole class to see everyone.`);
+        return;
+    }
+    compareUsernames.push(username);
+    document.getElementById('compareStudentSelect').value = '';
+    await loadComparison();
+}
+
+async function removeCompareStudent(username) {
+    compareUsernames = compareUsernames.filter(name => name !== username);
+    compareClassNum = null;
+    await loadComparison();
+}
+
+async function compareClass(classNum) {
+    if (!classNum) {
+        alert('Please select a class first.');
+        return;
+    }
+    const users = await api.getUserRoster();
+    compareClassNum = classNum;
+    compareUsernames = getClassStudents(users, classNum).map(student => student.username);
+    await loadComparison();
+}
+
+function clearComparison() {
+    compareUsernames = [];
+    compareClassNum = null;
+    loadComparison();
+}
+
+// { subjects, rows: [{ student, stats, earned, possible, cceMarks, percentage }] }
+function buildStudentComparison(students, tasksByClass, progressSheets) {
+    const rows = students.map(student => {
+        const tasks = withoutExemptTasks(applyTaskExtensions(getActiveTasks(getTermTasks(tasksByClass[student.class])) || [],
+            progressSheets[`${student.username}_extensions`]));
+        const stats = buildSubjectStats(Array.isArray(tasks) ? tasks : [], getTermProgress(progressSheets[`${student.username}_progress`]));
+        const values = Object.values(stats);
+        const earned = values.reduce((sum, subject) => sum + subject.earnedPoints, 0);
+        const possible = values.reduce((sum, subject) => sum + subject.possiblePoints, 0);
+        return {
+            student,
+            stats,
+            earned,
+            possible,
+            cceMarks: roundTo(values.reduce((sum, subject) => sum + toCceMarks(subject.earnedPoints, subject.possiblePoints), 0)),
+            percentage: toPercentage(earned, possible)
+        };
+    });
+    const subjects = [...new Set(rows.flatMap(row => Object.keys(row.stats)))].sort();
+    return { subjects, rows };
+}
+
+async function loadComparison() {
+    const chips = document.getElementById('compareChips');
+    const results = document.getElementById('compareResults');
+    const table = document.getElementById('compareTable');
+    
+    if (compareUsernames.length === 0) {
+        chips.innerHTML = '';
+        results.classList.add('hidden');
+        if (adminChartInstances.compareChart) adminChartInstances.compareChart.destroy();
+        adminChartInstances.compareChart = null;
+        return;
+    }
+    
+    results.classList.remove('hidden');
+    table.innerHTML = '<p class="text-gray-500 text-center py-4"><i class="fas fa-spinner fa-spin mr-2"></i>Loading comparison...</p>';
     
     try {
-        const tasksSheetName = `${currentUser.class}_tasks_master`;
-        const tasks = await api.getSheet(tasksSheetName);
-        const completedTasks = Array.isArray(progress) ? 
-            progress.filter(p => p.item_type === "task" && p.status === "complete").length : 0;
-        const totalTasks = Array.isArray(tasks) ? tasks.length : 0;
-        const pendingTasks = Math.max(0, totalTasks - completedTasks);
-
-        const ctx = document.getElementById('taskChart');
-        if (!ctx) return;
+        const users = await api.getUserRoster();
+        const students = compareUsernames
+            .map(username => users.find(user => user.username === username))
+            .filter(Boolean);
         
-        if (chartInstances.taskChart) {
-            chartInstances.taskChart.destroy();
-        }
+        chips.innerHTML = compareClassNum ?
+            `<span class="compare-chip">Class ${compareClassNum} (${students.length} students)
+                <button onclick="clearComparison()" title="Clear"><i class="fas fa-times"></i></button></span>` :
+            students.map(student => `
+                <span class="compare-chip">${escapeHtml(student.full_name || student.username)}
+                    <button onclick="removeCompareStudent('${student.username}')" title="Remove"><i class="fas fa-times"></i></button>
+                </span>
+            `).join('');
         
-        chartInstances.taskChart = new Chart(ctx.getContext('2d'), {
-            type: 'doughnut',
+        const classes = [...new Set(students.map(student => String(student.class || '')).filter(Boolean))];
+        const [taskSheets, progressSheets] = await Promise.all([
+            api.getBatchSheets(classes.map(classNum => `${classNum}_tasks_master`)),
+            api.getBatchSheets(students.flatMap(student => [`${student.username}_progress`, `${student.username}_extensions`]))
+        ]);
+        const tasksByClass = Object.fromEntries(classes.map(classNum => [classNum, taskSheets[`${classNum}_tasks_master`]]));
+        const comparison = buildStudentComparison(students, tasksByClass, progressSheets);
+        const name = row => row.student.full_name || row.student.username;
+        
+        if (adminChartInstances.compareChart) adminChartInstances.compareChart.destroy();
+        adminChartInstances.compareChart = new Chart(document.getElementById('compareChart').getContext('2d'), {
+            type: 'bar',
             data: {
-                labels: ['Completed', 'Pending'],
-                datasets: [{
-                    data: [completedTasks, pendingTasks],
-                    backgroundColor: ['#059669', '#e5e7eb'],
-                    borderWidth: 0
-                }]
+                labels: comparison.subjects,
+                datasets: comparison.rows.map((row, index) => ({
+                    label: name(row),
+                    data: comparison.subjects.map(subject => row.stats[subject]?.earnedPoints ?? 0),
+                    backgroundColor: TREND_COLORS[index % TREND_COLORS.length]
+                }))
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        position: 'bottom'
-                    }
-                }
+                plugins: { legend: { position: 'bottom' } },
+                scales: { y: { beginAtZero: true, title: { display: true, text: 'Points' } } }
             }
         });
+        
+        const cell = (row, subject) => {
+            const stats = row.stats[subject];
+            if (!stats) return '<td class="text-gray-400">-</td>';
+            return `<td>${stats.earnedPoints}/${stats.possiblePoints}
+                <div class="text-xs text-gray-500">CCE ${toCceMarks(stats.earnedPoints, stats.possiblePoints)} · ${toPercentage(stats.earnedPoints, stats.possiblePoints)}%</div></td>`;
+        };
+        table.innerHTML = `
+            <table class="grading-grid">
+                <thead>
+                    <tr>
+                        <th class="grading-grid-student">Subject</th>
+                        ${comparison.rows.map(row => `<th>${escapeHtml(name(row))}<div class="grading-grid-task-title">Class ${row.student.class || '-'}</div></th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${comparison.subjects.map(subject => `
+                        <tr>
+                            <td class="grading-grid-student capitalize">${escapeHtml(subject)}</td>
+                            ${comparison.rows.map(row => cell(row, subject)).join('')}
+                        </tr>
+                    `).join('')}
+                    <tr class="font-semibold">
+                        <td class="grading-grid-student">Total</td>
+                        ${comparison.rows.map(row => `
+                            <td>${row.earned}/${row.possible}
+                                <div class="text-xs text-gray-500">CCE ${row.cceMarks} · ${row.percentage}%</div></td>
+                        `).join('')}
+                    </tr>
+                </tbody>
+            </table>
+        `;
     } catch (error) {
-        console.error('Error loading task chart:', error);
+        console.error('Error loading comparison:', error);
+        table.innerHTML = '<p class="text-red-500 text-center py-4">Error loading comparison. Please try again.</p>';
     }
 }
 
 // =============================
-// 👨‍💼 Admin Functions (SUPER OPTIMIZED)
+// 🏫 Class Analytics
 // =============================
-async function loadAdminData() {
+// Class-level view of one class and subject the admin teaches, aggregated
+// from every active class member's progress sheet (the same class list as
+// loadAdminClassStudents) for the selected term: how total points are
+// spread, average / median marks and completion rate per task, a students
+// by tasks heatmap and each student's rank.
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function roundTo(value, places = 1) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+// Exempt tasks (see Extensions & Exemptions) count for nobody: a student's
+// percent is out of the tasks they have, and a task's completion rate is out
+// of the students who have it
+function buildClassAnalytics(tasks, students, progressSheets) {
+    const possible = tasks.reduce((sum, task) => sum + getTaskMaxPoints(task), 0);
+    
+    const studentRows = students.map(student => {
+        const completed = getCompletedTaskProgress(getTermProgress(progressSheets[`${student.username}_progress`]));
+        const exempt = new Set(applyTaskExtensions(tasks, progressSheets[`${student.username}_extensions`])
+            .filter(task => task.exempt)
+            .map(task => String(task.task_id)));
+        const grades = new Map();
+        tasks.forEach(task => {
+            const entry = completed.get(String(task.task_id));
+            if (entry && !exempt.has(String(task.task_id))) grades.set(String(task.task_id), parseInt(entry.grade || 0));
+        });
+        const total = [...grades.values()].reduce((sum, grade) => sum + grade, 0);
+        const studentPossible = tasks
+            .filter(task => !exempt.has(String(task.task_id)))
+            .reduce((sum, task) => sum + getTaskMaxPoints(task), 0);
+        return { student, grades, exempt, total, possible: studentPossible, percent: toPercentage(total, studentPossible) };
+    });
+    
+    // Competition ranking: equal shares of the possible points share a rank (1, 2, 2, 4)
+    studentRows.sort((a, b) => b.percent - a.percent || b.total - a.total);
+    studentRows.forEach((row, index) => {
+        const previous = studentRows[index - 1];
+        row.rank = previous && row.percent === previous.percent && row.total === previous.total ? previous.rank : index + 1;
+    });
+    
+    const taskRows = tasks.map(task => {
+        const assigned = studentRows.filter(row => !row.exempt.has(String(task.task_id)));
+        const grades = assigned
+            .map(row => row.grades.get(String(task.task_id)))
+            .filter(grade => grade !== undefined);
+        return {
+            task,
+            maxPoints: getTaskMaxPoints(task),
+            completed: grades.length,
+            assigned: assigned.length,
+            rate: toPercentage(grades.length, assigned.length),
+            average: grades.length ? roundTo(grades.reduce((sum, grade) => sum + grade, 0) / grades.length) : null,
+            median: median(grades)
+        };
+    });
+    
+    // Ten 10% bands of each student's share of the possible points
+    const distribution = Array(10).fill(0);
+    studentRows.forEach(row => distribution[Math.min(9, Math.floor(row.percent / 10))]++);
+    
+    return { possible, students: studentRows, tasks: taskRows, distribution };
+}
+
+// Red (0%) through amber to green (100%)
+function heatmapColor(percent) {
+    return `hsl(${Math.round(percent * 1.2)}, 65%, 82%)`;
+}
+
+function loadAnalyticsFilters() {
+    const classSelect = document.getElementById('analyticsClassSelect');
+    const classes = currentUser.adminClasses || [];
+    classSelect.innerHTML = classes.length ?
+        '<option value="">-- Select Class --</option>' + classes.map(cls => `<option value="${cls}">Class ${cls}</option>`).join('') :
+        '<option value="" disabled>No classes assigned</option>';
+    fillAnalyticsSubjects('');
+    showAnalyticsPlaceholder();
+}
+
+function fillAnalyticsSubjects(classNum) {
+    const subjectSelect = document.getElementById('analyticsSubjectSelect');
+    const subjects = classNum ? currentUser.adminSubjects?.[classNum] || [] : [];
+    subjectSelect.innerHTML = '<option value="">-- Select Subject --</option>' +
+        subjects.map(subject => `<option value="${subject}">${subject.charAt(0).toUpperCase() + subject.slice(1)}</option>`).join('');
+    subjectSelect.disabled = !classNum;
+}
+
+function showAnalyticsPlaceholder() {
+    document.getElementById('analyticsContent').classList.add('hidden');
+    document.getElementById('analyticsPlaceholder').classList.remove('hidden');
+}
+
+function handleAnalyticsClassChange() {
+    const classNum = document.getElementById('analyticsClassSelect').value;
+    fillAnalyticsSubjects(classNum);
+    navigateTo({ class: classNum || null, subject: null });
+    showAnalyticsPlaceholder();
+}
+
+async function handleAnalyticsSubjectChange() {
+    const classNum = document.getElementById('analyticsClassSelect').value;
+    const subject = document.getElementById('analyticsSubjectSelect').value;
+    navigateTo({ subject: subject || null });
+    if (classNum && subject) {
+        await loadClassAnalytics(classNum, subject);
+    } else {
+        showAnalyticsPlaceholder();
+    }
+}
+
+async function loadClassAnalytics(classNum, subject) {
+    const content = document.getElementById('analyticsContent');
+    const summary = document.getElementById('analyticsSummary');
+    document.getElementById('analyticsPlaceholder').classList.add('hidden');
+    content.classList.remove('hidden');
+    summary.innerHTML = '<p class="text-gray-500 text-center py-4"><i class="fas fa-spinner fa-spin mr-2"></i>Loading class analytics...</p>';
+    document.getElementById('analyticsTaskTable').innerHTML = '';
+    document.getElementById('analyticsHeatmap').innerHTML = '';
+    
     try {
-        if (currentUser.role === 'admin') {
-            let adminClasses = [];
-            let adminSubjects = {};
-            
-            // Parse classes (optimized)
-            if (currentUser.class) {
-                adminClasses = currentUser.class.toString().trim()
-                    .split(/[,\s]+/)
-                    .map(c => c.trim())
-                    .filter(c => c && /^\d+$/.test(c));
-            }
-            
-            // Parse subjects (optimized)
-            if (currentUser.subjects && adminClasses.length > 0) {
-                const subjectsStr = currentUser.subjects.toString().trim();
-                const bracketMatches = subjectsStr.match(/\(\d+-[^)]+\)/g);
-                
-                if (bracketMatches) {
-                    bracketMatches.forEach(match => {
-                        const [classNum, subjectsString] = match.slice(1, -1).split('-', 2);
-                        if (classNum && subjectsString) {
-                            const subjects = subjectsString.toLowerCase() === 'all' 
-                                ? ['english', 'mathematics', 'urdu', 'arabic', 'malayalam', 'social science', 'science']
-                                : subjectsString.split(',').map(s => s.trim().toLowerCase()).filter(s => s);
-                            
-                            if (subjects.length > 0 && adminClasses.includes(classNum.trim())) {
-                                adminSubjects[classNum.trim()] = subjects;
-                            }
-                        }
-                    });
-                } else {
-                    const subjects = subjectsStr.split(',').map(s => s.trim().toLowerCase()).filter(s => s);
-                    adminClasses.forEach(classNum => {
-                        adminSubjects[classNum] = [...subjects];
-                    });
-                }
-            }
-            
-            // Pre-load all task sheets in parallel
-            const taskSheetPromises = adminClasses.map(classNum => 
-                api.getSheet(`${classNum}_tasks_master`).then(tasks => ({
-                    classNum,
-                    tasks: tasks && Array.isArray(tasks) ? tasks : []
-                }))
-            );
-            
-            const taskResults = await Promise.all(taskSheetPromises);
-            
-            // Verify subjects exist and optimize
-            taskResults.forEach(({ classNum, tasks }) => {
-                if (tasks.length > 0) {
-                    const classSubjects = [...new Set(tasks.map(task => 
-                        task.subject ? task.subject.toLowerCase().trim() : ''
-                    ).filter(s => s))];
-                    
-                    if (adminSubjects[classNum]) {
-                        adminSubjects[classNum] = adminSubjects[classNum].filter(subject => 
-                            classSubjects.includes(subject.toLowerCase())
-                        );
-                    } else {
-                        adminSubjects[classNum] = [];
-                    }
-                } else {
-                    adminSubjects[classNum] = [];
-                }
+        const [tasks, users] = await Promise.all([
+            api.getSheet(`${classNum}_tasks_master`),
+            api.getUserRoster()
+        ]);
+        if (tasks && tasks.error) throw new Error(tasks.error);
+        
+        const subjectTasks = (getActiveTasks(getTermTasks(tasks)) || []).filter(task =>
+            task.subject && task.subject.toLowerCase() === subject.toLowerCase()
+        );
+        const students = getClassStudents(users, classNum);
+        if (subjectTasks.length === 0 || students.length === 0) {
+            summary.innerHTML = `<p class="text-gray-500 text-center py-4">${subjectTasks.length === 0 ? `No ${subject} tasks in ${termLabel(getSelectedTerm())}` : 'No students'} in Class ${classNum}.</p>`;
+            ['analyticsDistribution', 'analyticsTasks'].forEach(key => {
+                if (adminChartInstances[key]) adminChartInstances[key].destroy();
+                adminChartInstances[key] = null;
             });
-            
-            currentUser.adminClasses = adminClasses;
-            currentUser.adminSubjects = adminSubjects;
-            
-            // Update UI immediately
-            const teachingInfo = document.getElementById('teachingSubjects');
-            if (teachingInfo) {
-                if (adminClasses.length > 0) {
-                    const classText = `Classes: ${adminClasses.join(', ')}`;
-                    const subjectText = Object.entries(adminSubjects).map(([cls, subjs]) => 
-                        `Class ${cls}: ${subjs.length > 0 ? subjs.join(', ') : 'No subjects'}`
-                    ).join(' | ');
-                    teachingInfo.textContent = `${classText} | ${subjectText}`;
-                } else {
-                    teachingInfo.textContent = 'No classes or subjects assigned';
-                }
-            }
-            
-            // Load admin tasks UI immediately after data processing
-            await loadAdminTasks();
+            return;
         }
+        
+        const progressSheets = await api.getBatchSheets(
+            students.flatMap(student => [`${student.username}_progress`, `${student.username}_extensions`])
+        );
+        const analytics = buildClassAnalytics(subjectTasks, students, progressSheets);
+        renderClassAnalytics(analytics, classNum, subject);
     } catch (error) {
-        console.error('Error loading admin data:', error);
-        const teachingInfo = document.getElementById('teachingSubjects');
-        if (teachingInfo) {
-            teachingInfo.textContent = 'Error loading teaching assignments';
+        console.error('Error loading class analytics:', error);
+        summary.innerHTML = '<p class="text-red-500 text-center py-4">Error loading class analytics. Please try again.</p>';
+    }
+}
+
+function renderClassAnalytics(analytics, classNum, subject) {
+    const totals = analytics.students.map(row => row.total);
+    const completedCount = analytics.tasks.reduce((sum, row) => sum + row.completed, 0);
+    const slots = analytics.tasks.reduce((sum, row) => sum + row.assigned, 0);
+    const average = roundTo(totals.reduce((sum, total) => sum + total, 0) / totals.length);
+    
+    document.getElementById('analyticsSummary').innerHTML = `
+        <div class="analytics-stats">
+            <div><span>${analytics.students.length}</span>Students</div>
+            <div><span>${analytics.tasks.length}</span>Tasks</div>
+            <div><span>${average}/${analytics.possible}</span>Average points</div>
+            <div><span>${median(totals)}/${analytics.possible}</span>Median points</div>
+            <div><span>${toPercentage(completedCount, slots)}%</span>Tasks completed</div>
+        </div>
+    `;
+    
+    const draw = (key, canvasId, config) => {
+        if (adminChartInstances[key]) adminChartInstances[key].destroy();
+        adminChartInstances[key] = new Chart(document.getElementById(canvasId).getContext('2d'), config);
+    };
+    
+    draw('analyticsDistribution', 'analyticsDistributionChart', {
+        type: 'bar',
+        data: {
+            labels: analytics.distribution.map((_, index) => index === 9 ? '90-100%' : `${index * 10}-${index * 10 + 9}%`),
+            datasets: [{ label: 'Students', data: analytics.distribution, backgroundColor: '#2563eb' }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { display: false } },
+            scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+        }
+    });
+    
+    draw('analyticsTasks', 'analyticsTaskChart', {
+        type: 'bar',
+        data: {
+            labels: analytics.tasks.map(row => row.task.task_id),
+            datasets: [{ label: 'Completion rate (%)', data: analytics.tasks.map(row => row.rate), backgroundColor: '#059669' }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { display: false } },
+            scales: { y: { beginAtZero: true, max: 100 } }
         }
+    });
+    
+    document.getElementById('analyticsTaskTable').innerHTML = `
+        <table class="grading-grid">
+            <thead>
+                <tr><th>Task</th><th>Title</th><th>Completed</th><th>Average</th><th>Median</th><th>Out of</th></tr>
+            </thead>
+            <tbody>
+                ${analytics.tasks.map(row => `
+                    <tr>
+                        <td>${row.task.task_id}</td>
+                        <td class="text-left">${escapeHtml(row.task.title)}</td>
+                        <td>${row.completed}/${row.assigned} (${row.rate}%)</td>
+                        <td>${row.average ?? '-'}</td>
+                        <td>${row.median ?? '-'}</td>
+                        <td>${row.maxPoints}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    
+    document.getElementById('analyticsHeatmap').innerHTML = `
+        <table class="grading-grid analytics-heatmap">
+            <thead>
+                <tr>
+                    <th>Rank</th>
+                    <th class="grading-grid-student">Student</th>
+                    ${analytics.tasks.map(row => `<th title="${escapeHtml(row.task.title)}">${row.task.task_id}</th>`).join('')}
+                    <th>Total</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${analytics.students.map(row => `
+                    <tr>
+                        <td>${row.rank}</td>
+                        <td class="grading-grid-student">${escapeHtml(row.student.full_name || row.student.username)}</td>
+                        ${analytics.tasks.map(taskRow => {
+                            const grade = row.grades.get(String(taskRow.task.task_id));
+                            if (row.exempt.has(String(taskRow.task.task_id))) return '<td class="analytics-pending" title="Exempt">Ex</td>';
+                            return grade === undefined ?
+                                '<td class="analytics-pending" title="Pending">-</td>' :
+                                `<td style="background: ${heatmapColor(toPercentage(grade, taskRow.maxPoints))}">${grade}</td>`;
+                        }).join('')}
+                        <td class="font-semibold">${row.total} <span class="text-xs text-gray-500">(${row.percent}%)</span></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    document.getElementById('analyticsTitle').textContent =
+        `Class ${classNum} - ${subject.charAt(0).toUpperCase() + subject.slice(1)}, ${termLabel(getSelectedTerm())}`;
+}
+
+function restoreAdminAnalyticsRoute(route) {
+    const classSelect = document.getElementById('analyticsClassSelect');
+    const subjectSelect = document.getElementById('analyticsSubjectSelect');
+    const wantedClass = route.class && currentUser.adminClasses?.includes(route.class) ? route.class : '';
+    if (wantedClass !== classSelect.value) {
+        classSelect.value = wantedClass;
+        handleAnalyticsClassChange();
+    }
+    
+    const wantedSubject = wantedClass ? route.subject || '' : '';
+    if (wantedClass && wantedSubject !== subjectSelect.value) {
+        subjectSelect.value = wantedSubject;
+        return handleAnalyticsSubjectChange();
     }
 }
 
-async function loadAdminTasks() {
-    const adminTaskClassSelect = document.getElementById('adminTaskClassSelect');
-    const adminTaskSubjectSelect = document.getElementById('adminTaskSubjectSelect');
-    
-    if (!adminTaskClassSelect || !adminTaskSubjectSelect) return;
+// =============================
+// 🚩 Needs Attention
+// =============================
+// Flags struggling students on the Tasks page before a teacher would notice.
+// Each class the admin teaches is checked against its tasks in the subjects
+// they teach there, for the selected term, with three rules whose thresholds
+// are kept per class in the risk_rules sheet (class, max_overdue,
+// below_median_percent, inactive_days); 0 turns a rule off:
+//   - more than max_overdue tasks past their due date and not completed
+//   - total points more than below_median_percent under the class median
+//   - no completion for inactive_days once a task has fallen due
+const RISK_RULE_DEFAULTS = { max_overdue: 2, below_median_percent: 25, inactive_days: 21 };
+const RISK_RULE_FIELDS = Object.keys(RISK_RULE_DEFAULTS);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getRiskRules(rulesSheet, classNum) {
+    const row = Array.isArray(rulesSheet) ? rulesSheet.find(rule => String(rule.class) === String(classNum)) : null;
+    return Object.fromEntries(RISK_RULE_FIELDS.map(field => {
+        const value = row ? parseInt(row[field]) : NaN;
+        return [field, isNaN(value) || value < 0 ? RISK_RULE_DEFAULTS[field] : value];
+    }));
+}
+
+// [{ student, reasons }] for the students who break at least one rule
+// progressSheets may also hold <username>_extensions sheets, which move a
+// student's due dates and leave exempt tasks out of their overdue count
+function evaluateRiskRules(tasks, students, progressSheets, rules, today = new Date()) {
+    today = new Date(today);
+    today.setHours(0, 0, 0, 0);
+    const dueTasks = tasks.filter(task => {
+        const due = parseTaskDate(task.due_date);
+        return due && due < today;
+    });
+    const firstDue = dueTasks.reduce((earliest, task) => {
+        const due = parseTaskDate(task.due_date);
+        return !earliest || due < earliest ? due : earliest;
+    }, null);
     
-    // Clear existing options
-    adminTaskClassSelect.innerHTML = '<option value="">-- Select Class --</option>';
-    adminTaskSubjectSelect.innerHTML = '<option value="">-- Select Subject --</option>';
-    adminTaskSubjectSelect.disabled = true;
+    const rows = students.map(student => {
+        const completed = getCompletedTaskProgress(getTermProgress(progressSheets[`${student.username}_progress`]));
+        const taskEntries = tasks.map(task => completed.get(String(task.task_id))).filter(Boolean);
+        const lastCompleted = taskEntries.reduce((latest, entry) => {
+            const date = parseTaskDate(entry.date);
+            return date && (!latest || date > latest) ? date : latest;
+        }, null);
+        const studentTasks = withoutExemptTasks(applyTaskExtensions(tasks, progressSheets[`${student.username}_extensions`]));
+        return {
+            student,
+            overdue: studentTasks.filter(task => {
+                const due = parseTaskDate(task.due_date);
+                return due && due < today && !completed.has(String(task.task_id));
+            }).length,
+            total: taskEntries.reduce((sum, entry) => sum + parseInt(entry.grade || 0), 0),
+            lastCompleted
+        };
+    });
+    const classMedian = median(rows.map(row => row.total)) || 0;
     
-    // Only show admin's assigned classes
-    if (currentUser.adminClasses && currentUser.adminClasses.length > 0) {
-        currentUser.adminClasses.forEach(classNum => {
-            const option = document.createElement('option');
-            option.value = classNum;
-            option.textContent = `Class ${classNum}`;
-            adminTaskClassSelect.appendChild(option);
-        });
-    } else {
-        const option = document.createElement('option');
-        option.value = '';
-        option.textContent = 'No classes assigned';
-        option.disabled = true;
-        adminTaskClassSelect.appendChild(option);
+    return rows.map(row => {
+        const reasons = [];
+        if (rules.max_overdue && row.overdue > rules.max_overdue) {
+            reasons.push(`${row.overdue} overdue tasks`);
+        }
+        if (rules.below_median_percent && classMedian > 0 &&
+            row.total < classMedian * (1 - rules.below_median_percent / 100)) {
+            reasons.push(`${row.total} points against a class median of ${classMedian}`);
+        }
+        const since = row.lastCompleted || firstDue;
+        if (rules.inactive_days && since && (today - since) / DAY_MS > rules.inactive_days) {
+            const days = Math.round((today - since) / DAY_MS);
+            reasons.push(row.lastCompleted ? `Nothing completed in ${days} days` : 'Nothing completed yet');
+        }
+        return { student: row.student, reasons };
+    }).filter(row => row.reasons.length > 0);
+}
+
+async function loadNeedsAttention() {
+    const panel = document.getElementById('needsAttentionList');
+    const classes = currentUser.adminClasses || [];
+    if (!panel) return;
+    if (classes.length === 0) {
+        panel.innerHTML = '<p class="text-gray-500 text-sm">No classes assigned.</p>';
         return;
     }
+    panel.innerHTML = '<p class="text-gray-500 text-sm"><i class="fas fa-spinner fa-spin mr-2"></i>Checking your classes...</p>';
     
-    // Remove existing event listeners first
-    adminTaskClassSelect.removeEventListener('change', handleClassChange);
-    adminTaskSubjectSelect.removeEventListener('change', handleSubjectChange);
-    
-    // Add event listeners
-    adminTaskClassSelect.addEventListener('change', handleClassChange);
-    adminTaskSubjectSelect.addEventListener('change', handleSubjectChange);
+    try {
+        const [users, rulesSheet, ...taskSheets] = await Promise.all([
+            api.getUserRoster(),
+            api.getSheet('risk_rules'),
+            ...classes.map(classNum => api.getSheet(`${classNum}_tasks_master`))
+        ]);
+        const studentsByClass = classes.map(classNum => getClassStudents(users, classNum));
+        const progressSheets = await api.getBatchSheets(
+            studentsByClass.flat().flatMap(student => [`${student.username}_progress`, `${student.username}_extensions`])
+        );
+        
+        panel.innerHTML = classes.map((classNum, index) => {
+            const subjects = currentUser.adminSubjects?.[classNum] || [];
+            const tasks = (getActiveTasks(getTermTasks(taskSheets[index])) || []).filter(task =>
+                task.subject && subjects.includes(task.subject.toLowerCase())
+            );
+            const rules = getRiskRules(rulesSheet, classNum);
+            const flagged = evaluateRiskRules(tasks, studentsByClass[index], progressSheets, rules);
+            
+            return `
+                <div class="needs-attention-class">
+                    <div class="flex items-center justify-between mb-2">
+                        <h4 class="font-semibold text-gray-800">Class ${classNum}
+                            <span class="text-sm font-normal text-gray-500">(${flagged.length} of ${studentsByClass[index].length})</span>
+                        </h4>
+                        <button onclick="toggleRiskRulesEditor('${classNum}')" class="task-action-btn text-gray-600" title="Change the thresholds for Class ${classNum}">
+                            <i class="fas fa-sliders-h mr-1"></i>Rules
+                        </button>
+                    </div>
+                    <form id="riskRules-${classNum}" class="risk-rules-form hidden" onsubmit="saveRiskRules(event, '${classNum}')">
+                        <label>More than <input type="number" min="0" name="max_overdue" value="${rules.max_overdue}"> overdue tasks</label>
+                        <label><input type="number" min="0" max="100" name="below_median_percent" value="${rules.below_median_percent}">% below the class median</label>
+                        <label>No completion for <input type="number" min="0" name="inactive_days" value="${rules.inactive_days}"> days</label>
+                        <p class="text-xs text-gray-500">0 turns a rule off.</p>
+                        <button type="submit" class="submit-btn text-sm py-1 px-3">Save</button>
+                    </form>
+                    ${tasks.length === 0 ? `<p class="text-sm text-gray-500">No tasks in ${termLabel(getSelectedTerm())}.</p>` :
+                      flagged.length === 0 ? '<p class="text-sm text-green-700"><i class="fas fa-check mr-1"></i>No one needs attention.</p>' : `
+                        <ul class="needs-attention-students">
+                            ${flagged.map(({ student, reasons }) => `
+                                <li>
+                                    <a href="#/adminStatus?student=${encodeURIComponent(student.username)}" class="font-medium text-blue-700 hover:underline">
+                                        ${escapeHtml(student.full_name || student.username)}
+                                    </a>
+                                    <div class="flex flex-wrap gap-1 mt-1">
+                                        ${reasons.map(reason => `<span class="risk-reason">${reason}</span>`).join('')}
+                                    </div>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    `}
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error checking students who need attention:', error);
+        panel.innerHTML = '<p class="text-red-500 text-sm">Error checking students. Please try again.</p>';
+    }
 }
 
-// Separate event handler functions
-async function handleClassChange() {
-    const selectedClass = this.value;
-    const subjectSelect = document.getElementById('adminTaskSubjectSelect');
-    subjectSelect.innerHTML = '<option value="">-- Select Subject --</option>';
+function toggleRiskRulesEditor(classNum) {
+    document.getElementById(`riskRules-${classNum}`).classList.toggle('hidden');
+}
+
+async function saveRiskRules(event, classNum) {
+    event.preventDefault();
+    const form = event.target;
+    const values = {};
+    for (const field of RISK_RULE_FIELDS) {
+        const value = form.elements[field].value.trim();
+        if (!/^\d+$/.test(value) || (field === 'below_median_percent' && Number(value) > 100)) {
+            alert('Thresholds must be whole numbers (0 to 100 for the percentage).');
+            form.elements[field].focus();
+            return;
+        }
+        values[field] = value;
+    }
     
-    if (selectedClass) {
-        subjectSelect.disabled = false;
-        
-        let availableSubjects = currentUser.adminSubjects[selectedClass] || [];
-        
-        if (availableSubjects.length > 0) {
-            availableSubjects.forEach(subject => {
-                const option = document.createElement('option');
-                option.value = subject.toLowerCase();
-                option.textContent = subject.charAt(0).toUpperCase() + subject.slice(1);
-                subjectSelect.appendChild(option);
-            });
+    try {
+        const rulesSheet = await api.getSheet('risk_rules', false);
+        const exists = Array.isArray(rulesSheet) && rulesSheet.some(rule => String(rule.class) === String(classNum));
+        let result;
+        if (exists) {
+            result = await api.updateRow('risk_rules', 'class', classNum, values);
         } else {
-            const option = document.createElement('option');
-            option.value = '';
-            option.textContent = 'No subjects assigned to this class';
-            option.disabled = true;
-            subjectSelect.appendChild(option);
+            if (!Array.isArray(rulesSheet)) await api.createSheet('risk_rules', ['class', ...RISK_RULE_FIELDS]);
+            result = await api.addRow('risk_rules', [classNum, ...RISK_RULE_FIELDS.map(field => values[field])]);
         }
-    } else {
-        subjectSelect.disabled = true;
+        
+        if (result && result.queued) {
+            alert('You are offline. The thresholds are saved and will be applied when the connection returns.');
+            return;
+        }
+        if (!result || result.error) throw new Error(result?.error || 'Failed to save the thresholds');
+        await loadNeedsAttention();
+    } catch (error) {
+        console.error('Error saving risk rules:', error);
+        alert('Error saving thresholds: ' + error.message);
     }
+}
+
+// =============================
+// 🧾 Report Cards
+// =============================
+// Print-ready CCE report cards for one student or a whole class, rendered into
+// #reportCardModal; the print stylesheet hides everything else on the page so
+// the browser's "Save as PDF" produces one card per page.
+
+// Earned points scaled to the 30-mark CCE scale of a subject
+function toCceMarks(earnedPoints, possiblePoints) {
+    if (!possiblePoints) return 0;
+    return Math.round(earnedPoints / possiblePoints * MAX_TASK_POINTS * 10) / 10;
+}
+
+function toPercentage(earnedPoints, possiblePoints) {
+    return possiblePoints ? Math.round(earnedPoints / possiblePoints * 100) : 0;
+}
+
+// The admin handling all subjects of the class, else the first admin teaching it
+function getClassTeacher(users, classNum) {
+    const teachers = (Array.isArray(users) ? users : []).filter(user =>
+        user.role === 'admin' &&
+        String(user.class || '').split(/[,\s]+/).includes(String(classNum))
+    );
+    const classTeacher = teachers.find(user =>
+        new RegExp(`\\(${classNum}-all\\)`, 'i').test(String(user.subjects || ''))
+    ) || teachers[0];
+    return classTeacher ? classTeacher.full_name || classTeacher.username : '';
+}
+
+function buildReportCard(student, tasks, progress, classTeacher) {
+    const subjectStats = buildSubjectStats(tasks, progress);
+    const subjects = Object.entries(subjectStats).map(([subject, stats]) => ({
+        subject,
+        ...stats,
+        cceMarks: toCceMarks(stats.earnedPoints, stats.possiblePoints),
+        percentage: toPercentage(stats.earnedPoints, stats.possiblePoints)
+    }));
     
-    document.getElementById('adminTasksClassSubjectView').classList.add('hidden');
-    document.getElementById('adminTasksDefaultView').classList.remove('hidden');
+    const sum = key => subjects.reduce((total, subject) => total + subject[key], 0);
+    return {
+        student,
+        classTeacher,
+        term: getSelectedTerm(),
+        subjects,
+        completedTasks: sum('completedTasks'),
+        totalTasks: sum('totalTasks'),
+        cceMarks: Math.round(sum('cceMarks') * 10) / 10,
+        maxCceMarks: subjects.length * MAX_TASK_POINTS,
+        percentage: toPercentage(sum('earnedPoints'), sum('possiblePoints'))
+    };
 }
 
-async function handleSubjectChange() {
-    const selectedClass = document.getElementById('adminTaskClassSelect').value;
-    const selectedSubject = this.value;
+function renderReportCard(card) {
+    const issued = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    return `
+        <div class="report-card">
+            <div class="report-card-header">
+                <h2>DHDC MANOOR</h2>
+                <p>CCE Report Card · Academic Year ${card.term.year} · Term ${card.term.term}</p>
+            </div>
+            <div class="report-card-details">
+                <div><span>Student</span>${escapeHtml(card.student.full_name || card.student.username)}</div>
+                <div><span>Username</span>${card.student.username}</div>
+                <div><span>Class</span>${card.student.class || 'Not Assigned'}</div>
+                <div><span>Class Teacher</span>${escapeHtml(card.classTeacher || '-')}</div>
+            </div>
+            ${card.subjects.length === 0 ? '<p class="text-gray-500 text-center py-6">No tasks have been set for this class this term.</p>' : `
+                <table class="report-card-table">
+                    <thead>
+                        <tr>
+                            <th>Subject</th>
+                            <th>Tasks Completed</th>
+                            <th>Points</th>
+                            <th>CCE Marks (/${MAX_TASK_POINTS})</th>
+                            <th>Percentage</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${card.subjects.map(subject => `
+                            <tr>
+                                <td class="capitalize">${escapeHtml(subject.subject)}</td>
+                                <td>${subject.completedTasks}/${subject.totalTasks}</td>
+                                <td>${subject.earnedPoints}/${subject.possiblePoints}</td>
+                                <td>${subject.cceMarks}</td>
+                                <td>${subject.percentage}%</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <td>Total</td>
+                            <td>${card.completedTasks}/${card.totalTasks}</td>
+                            <td></td>
+                            <td>${card.cceMarks}/${card.maxCceMarks}</td>
+                            <td>${card.percentage}%</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            `}
+            <div class="report-card-signatures">
+                <div>Class Teacher</div>
+                <div>Principal</div>
+                <div>Parent / Guardian</div>
+            </div>
+            <p class="report-card-issued">Issued ${issued}</p>
+        </div>
+    `;
+}
+
+function showReportCards(title, html) {
+    document.getElementById('reportCardModalTitle').textContent = title;
+    document.getElementById('reportCardContent').innerHTML = html;
+    document.getElementById('reportCardModal').classList.remove('hidden');
+}
+
+function showReportCardLoading(title) {
+    showReportCards(title, '<p class="text-gray-500 text-center py-8"><i class="fas fa-spinner fa-spin mr-2"></i>Preparing report card...</p>');
+}
+
+async function openStudentReportCard(username) {
+    showReportCardLoading('Report Card');
     
-    if (selectedClass && selectedSubject) {
-        const hasAccess = currentUser.adminSubjects && 
-                         currentUser.adminSubjects[selectedClass] && 
-                         currentUser.adminSubjects[selectedClass].includes(selectedSubject);
+    try {
+        const users = await api.getUserRoster();
+        const student = Array.isArray(users) ? users.find(user => user.username === username) : null;
+        if (!student) throw new Error('Student not found');
+        if (!student.class) throw new Error('The student has no class assigned');
         
-        if (hasAccess) {
-            selectedClassForModal = selectedClass;
-            selectedSubjectForModal = selectedSubject;
-            await loadAdminClassSubjectData(selectedClass, selectedSubject);
-        } else {
-            alert('Access denied: You are not assigned to this class-subject combination.');
-            this.value = '';
-        }
-    } else {
-        document.getElementById('adminTasksClassSubjectView').classList.add('hidden');
-        document.getElementById('adminTasksDefaultView').classList.remove('hidden');
+        const [tasks, progress, extensions] = await Promise.all([
+            api.getSheet(`${student.class}_tasks_master`),
+            api.getSheet(`${username}_progress`),
+            api.getSheet(`${username}_extensions`)
+        ]);
+        if (tasks && tasks.error) throw new Error(tasks.error);
+        
+        const studentTasks = withoutExemptTasks(applyTaskExtensions(getActiveTasks(getTermTasks(tasks)) || [], extensions));
+        const card = buildReportCard(student, studentTasks, getTermProgress(progress), getClassTeacher(users, student.class));
+        showReportCards(`Report Card - ${student.full_name || student.username}`, renderReportCard(card));
+    } catch (error) {
+        console.error('Error building report card:', error);
+        showReportCards('Report Card', `<p class="text-red-500 text-center py-8">Could not build the report card: ${error.message}</p>`);
     }
 }
 
-async function loadAdminClassSubjectData(classNum, subject) {
+async function openClassReportCards(classNum) {
+    if (!classNum) {
+        alert('Please select a class first.');
+        return;
+    }
+    showReportCardLoading(`Report Cards - Class ${classNum}`);
+    
     try {
-        // Show class subject view
-        document.getElementById('adminTasksDefaultView').classList.add('hidden');
-        document.getElementById('adminTasksClassSubjectView').classList.remove('hidden');
+        const [users, tasks] = await Promise.all([
+            api.getUserRoster(),
+            api.getSheet(`${classNum}_tasks_master`)
+        ]);
+        if (tasks && tasks.error) throw new Error(tasks.error);
         
-        // Update selected info
-        document.getElementById('selectedClassSubjectInfo').textContent = `Class ${classNum} - ${subject.charAt(0).toUpperCase() + subject.slice(1)}`;
+        const students = getClassStudents(users, classNum);
+        if (students.length === 0) throw new Error(`No students in Class ${classNum}`);
         
-        // Load tasks for this class and subject
-        const tasksSheetName = `${classNum}_tasks_master`;
-        const tasks = await api.getSheet(tasksSheetName);
+        const progressSheets = await api.getBatchSheets(
+            students.flatMap(student => [`${student.username}_progress`, `${student.username}_extensions`])
+        );
+        const classTeacher = getClassTeacher(users, classNum);
+        const activeTasks = getActiveTasks(getTermTasks(tasks)) || [];
         
-        const adminClassSubjectTasksList = document.getElementById('adminClassSubjectTasksList');
+        const html = students.map(student => renderReportCard(buildReportCard(
+            student,
+            withoutExemptTasks(applyTaskExtensions(activeTasks, progressSheets[`${student.username}_extensions`])),
+            getTermProgress(progressSheets[`${student.username}_progress`]),
+            classTeacher
+        ))).join('');
+        showReportCards(`Report Cards - Class ${classNum} (${students.length} students)`, html);
+    } catch (error) {
+        console.error('Error building class report cards:', error);
+        showReportCards(`Report Cards - Class ${classNum}`, `<p class="text-red-500 text-center py-8">Could not build the report cards: ${error.message}</p>`);
+    }
+}
+
+function printReportCards() {
+    window.print();
+}
+
+function closeReportCardModal() {
+    document.getElementById('reportCardModal').classList.add('hidden');
+    document.getElementById('reportCardContent').innerHTML = '';
+}
+
+// =============================
+// 📤 Marksheet Export
+// =============================
+// One row per student, one column per task (marks, blank while pending,
+// "Exempt" for exempt tasks), then each subject's points and CCE marks totalled
+// the same way as the status pages. subject limits the sheet to one subject;
+// null exports every subject.
+async function buildMarksheet(classNum, subject) {
+    const [users, tasks] = await Promise.all([
+        api.getUserRoster(),
+        api.getSheet(`${classNum}_tasks_master`)
+    ]);
+    if (tasks && tasks.error) throw new Error(tasks.error);
+    
+    const classTasks = (getActiveTasks(getTermTasks(tasks)) || []).filter(task =>
+        !subject || (task.subject && task.subject.toLowerCase() === subject.toLowerCase())
+    );
+    const students = getClassStudents(users, classNum);
+    if (classTasks.length === 0) throw new Error('No tasks to export');
+    if (students.length === 0) throw new Error(`No students in Class ${classNum}`);
+    
+    const tasksBySubject = {};
+    classTasks.forEach(task => {
+        const taskSubject = task.subject || 'General';
+        (tasksBySubject[taskSubject] = tasksBySubject[taskSubject] || []).push(task);
+    });
+    const subjects = Object.keys(tasksBySubject);
+    
+    const header = ['Username', 'Student'];
+    subjects.forEach(taskSubject => {
+        const subjectTasks = tasksBySubject[taskSubject];
+        const possible = subjectTasks.reduce((sum, task) => sum + getTaskMaxPoints(task), 0);
+        subjectTasks.forEach(task => header.push(`${task.task_id} ${task.title} (/${getTaskMaxPoints(task)})`));
+        header.push(`${taskSubject} Total (/${possible})`, `${taskSubject} CCE (/${MAX_TASK_POINTS})`);
+    });
+    if (subjects.length > 1) header.push(`Total CCE (/${subjects.length * MAX_TASK_POINTS})`);
+    
+    const progressSheets = await api.getBatchSheets(
+        students.flatMap(student => [`${student.username}_progress`, `${student.username}_extensions`])
+    );
+    
+    const rows = students.map(student => {
+        const progress = getTermProgress(progressSheets[`${student.username}_progress`]);
+        const completed = getCompletedTaskProgress(progress);
+        const studentTasks = applyTaskExtensions(classTasks, progressSheets[`${student.username}_extensions`]);
+        const exempt = new Set(studentTasks.filter(task => task.exempt).map(task => String(task.task_id)));
+        const subjectStats = buildSubjectStats(withoutExemptTasks(studentTasks), progress);
+        const row = [student.username, student.full_name || student.username];
+        let totalCce = 0;
         
-        // Show skeleton while loading
-        adminClassSubjectTasksList.innerHTML = `
-            <div class="animate-pulse space-y-3">
-                ${Array(2).fill(0).map(() => `
-                    <div class="bg-gray-50 rounded-lg p-4 border">
-                        <div class="flex justify-between items-center mb-2">
-                            <div class="h-4 bg-gray-200 rounded w-16"></div>
-                            <div class="h-6 bg-gray-200 rounded w-20"></div>
-                        </div>
-                        <div class="h-5 bg-gray-200 rounded w-3/4 mb-2"></div>
-                        <div class="h-4 bg-gray-200 rounded w-full mb-2"></div>
-                        <div class="h-3 bg-gray-200 rounded w-32"></div>
-                    </div>
-                `).join('')}
-            </div>
-        `;
+        subjects.forEach(taskSubject => {
+            tasksBySubject[taskSubject].forEach(task => {
+                const entry = completed.get(String(task.task_id));
+                row.push(exempt.has(String(task.task_id)) ? 'Exempt' : entry ? parseInt(entry.grade || 0) : '');
+            });
+            // Exempt from every task of the subject
+            const stats = subjectStats[taskSubject] || { earnedPoints: 0, possiblePoints: 0 };
+            const cce = toCceMarks(stats.earnedPoints, stats.possiblePoints);
+            totalCce += cce;
+            row.push(stats.earnedPoints, cce);
+        });
+        if (subjects.length > 1) row.push(Math.round(totalCce * 10) / 10);
+        return row;
+    });
+    
+    return [header, ...rows];
+}
+
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportMarksheet(classNum, subject, format) {
+    if (!classNum) {
+        alert('Please select a class first.');
+        return;
+    }
+    if (format === 'xlsx' && typeof XLSX === 'undefined') {
+        alert('The Excel exporter could not be loaded. Check your connection or export as CSV.');
+        return;
+    }
+    
+    try {
+        showNotification('Preparing marksheet...', 'info', 2000);
+        const rows = await buildMarksheet(classNum, subject);
+        const today = new Date().toISOString().split('T')[0];
+        const term = getSelectedTerm();
+        const filename = `class-${classNum}-${subject ? subject.toLowerCase() : 'all-subjects'}-marksheet-${term.year}-term${term.term}-${today}`;
         
-        if (!tasks || tasks.error || tasks.length === 0) {
-            adminClassSubjectTasksList.innerHTML = '<p class="text-gray-500 text-center py-8">No tasks found for this class.</p>';
+        if (format === 'xlsx') {
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), `Class ${classNum}`);
+            XLSX.writeFile(workbook, `${filename}.xlsx`);
         } else {
-            // Filter tasks by subject
-            const subjectTasks = tasks.filter(task => 
-                task.subject && task.subject.toLowerCase() === subject.toLowerCase()
-            );
-            
-            if (subjectTasks.length === 0) {
-                adminClassSubjectTasksList.innerHTML = `<p class="text-gray-500 text-center py-8">No tasks found for ${subject} in Class ${classNum}.</p>`;
-            } else {
-                const today = new Date();
-                today.setHours(0, 0, 0, 0);
-                
-                const tasksHtml = subjectTasks.map(task => {
-                    const dueDate = new Date(task.due_date);
-                    dueDate.setHours(0, 0, 0, 0);
-                    const isOverdue = dueDate < today;
-                    const isDueToday = dueDate.getTime() === today.getTime();
-                    
-                    let statusClass = 'status-pending';
-                    let statusText = 'Active';
-                    
-                    if (isOverdue) {
-                        statusClass = 'status-overdue';
-                        statusText = 'Overdue';
-                    } else if (isDueToday) {
-                        statusClass = 'status-pending';
-                        statusText = 'Due Today';
-                    }
-                    
-                    return `
-                        <div class="task-item">
-                            <div class="flex items-start justify-between">
-                                <div class="flex-1">
-                                    <div class="flex items-center justify-between mb-2">
-                                        <span class="task-id-badge">${task.task_id}</span>
-                                        <span class="task-status ${statusClass}">${statusText}</span>
-                                    </div>
-                                    <h4 class="task-title">${task.title}</h4>
-                                    <p class="task-description">${task.description}</p>
-                                    <p class="task-due-date">
-                                        <i class="fas fa-calendar-alt"></i>
-                                        Due: ${new Date(task.due_date).toLocaleDateString('en-US', {
-                                            year: 'numeric',
-                                            month: 'short',
-                                            day: 'numeric'
-                                        })}
-                                    </p>
-                                </div>
-                            </div>
-                        </div>
-                    `;
-                }).join('');
-                
-                adminClassSubjectTasksList.innerHTML = tasksHtml;
-            }
+            // The byte order mark makes Excel read the file as UTF-8
+            downloadFile(`${filename}.csv`, '\uFEFF' + toCsv(rows), 'text/csv;charset=utf-8');
         }
-        
-        // Load students in this class
-        await loadAdminClassStudents(classNum);
-        
     } catch (error) {
-        console.error('Error loading admin class subject data:', error);
-        document.getElementById('adminClassSubjectTasksList').innerHTML = '<p class="text-red-500 text-center py-8">Error loading tasks. Please try again.</p>';
+        console.error('Error exporting marksheet:', error);
+        alert('Error exporting marksheet: ' + error.message);
     }
 }
 
-async function loadAdminClassStudents(classNum) {
+// =============================
+// ➕ Add Task Functions (OPTIMIZED)
+// =============================
+async function openAddTaskModal() {
+    const selectedClass = document.getElementById('adminTaskClassSelect').value;
+    const selectedSubject = document.getElementById('adminTaskSubjectSelect').value;
+    
+    if (!selectedClass || !selectedSubject) {
+        alert('Please select both class and subject first.');
+        return;
+    }
+    if (!ensureTermWritable()) return;
+    
     try {
-        const users = await api.getSheet("user_credentials");
-        const adminClassStudentsList = document.getElementById('adminClassStudentsList');
+        const modal = document.getElementById('addTaskModal');
+        const autoSubject = document.getElementById('autoSubject');
+        const autoTaskId = document.getElementById('autoTaskId');
         
-        // Show skeleton
-        adminClassStudentsList.innerHTML = `
-            <div class="animate-pulse grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-                ${Array(6).fill(0).map(() => `
-                    <div class="bg-white rounded-lg p-4 border-2 border-gray-200 text-center">
-                        <div class="w-12 h-12 bg-gray-200 rounded-full mx-auto mb-3"></div>
-                        <div class="h-4 bg-gray-200 rounded w-3/4 mx-auto mb-2"></div>
-                        <div class="h-3 bg-gray-200 rounded w-1/2 mx-auto mb-2"></div>
-                        <div class="h-6 bg-gray-200 rounded w-16 mx-auto"></div>
-                    </div>
-                `).join('')}
-            </div>
-        `;
+        setTaskModalMode(null);
         
-        if (!users || users.error) {
-            adminClassStudentsList.innerHTML = '<p class="text-red-500 text-center py-8">Error loading students.</p>';
-            return;
-        }
+        // Set the auto-filled subject
+        autoSubject.value = selectedSubject.charAt(0).toUpperCase() + selectedSubject.slice(1);
         
-        // Filter students by class
-        const classStudents = users.filter(user => 
-            user.role === 'student' && String(user.class) === String(classNum)
-        );
+        // Generate next task ID
+        const nextTaskId = await getNextTaskId(selectedClass);
+        autoTaskId.value = nextTaskId;
         
-        if (classStudents.length === 0) {
-            adminClassStudentsList.innerHTML = `<p class="text-gray-500 text-center py-8">No students found in Class ${classNum}.</p>`;
+        // Clear form
+        document.getElementById('taskTitle').value = '';
+        document.getElementById('taskDescription').value = '';
+        document.getElementById('taskDueDate').value = '';
+        document.getElementById('taskPublishDate').value = '';
+        document.getElementById('taskDraft').checked = false;
+        setRubricEditor([]);
+        
+        modal.classList.remove('hidden');
+        
+    } catch (error) {
+        console.error('Error opening add task modal:', error);
+        alert('Error preparing to add task. Please try again.');
+    }
+}
+
+function closeAddTaskModal() {
+    document.getElementById('addTaskModal').classList.add('hidden');
+    setTaskModalMode(null);
+}
+
+// =============================
+// ✏️ Edit & Archive Task Functions
+// =============================
+// The add task modal doubles as the edit form; editingTaskId switches it
+let editingTaskId = null;
+
+function setTaskModalMode(taskId) {
+    editingTaskId = taskId;
+    document.getElementById('addTaskModalTitle').textContent = taskId ? 'Edit Task' : 'Add New Task';
+    document.getElementById('addTaskSubmitBtn').innerHTML = taskId ?
+        '<i class="fas fa-save mr-2"></i>Save Changes' :
+        '<i class="fas fa-plus mr-2"></i>Add Task';
+}
+
+// Sheet dates are stored as MM-DD-YYYY; date inputs want YYYY-MM-DD
+function formatSheetDate(inputValue) {
+    const dateObj = new Date(inputValue);
+    return `${String(dateObj.getMonth() + 1).padStart(2, '0')}-${String(dateObj.getDate()).padStart(2, '0')}-${dateObj.getFullYear()}`;
+}
+
+function toDateInputValue(sheetDate) {
+    const dateObj = new Date(sheetDate);
+    if (isNaN(dateObj.getTime())) return '';
+    return `${dateObj.getFullYear()}-${String(dateObj.getMonth() + 1).padStart(2, '0')}-${String(dateObj.getDate()).padStart(2, '0')}`;
+}
+
+async function findClassTask(classNum, taskId) {
+    const tasks = await api.getSheet(`${classNum}_tasks_master`, false);
+    return Array.isArray(tasks) ? tasks.find(task => String(task.task_id) === String(taskId)) : null;
+}
+
+async function openEditTaskModal(taskId) {
+    const selectedClass = document.getElementById('adminTaskClassSelect').value;
+    if (!ensureTermWritable()) return;
+    
+    try {
+        const task = await findClassTask(selectedClass, taskId);
+        if (!task) {
+            alert('Task not found. It may have been changed by someone else; the list will be refreshed.');
+            await loadAdminClassSubjectData(selectedClass, document.getElementById('adminTaskSubjectSelect').value);
             return;
         }
         
-        const studentsHtml = classStudents.map(student => {
-            const initials = student.full_name ? 
-                student.full_name.split(' ').map(n => n[0]).join('').toUpperCase().substring(0, 2) : 
-                student.username.substring(0, 2).toUpperCase();
-            
-            return `
-                <div class="student-card" onclick="openStudentTaskModal('${student.username}', '${student.full_name || student.username}', '${classNum}')">
-                    <div class="student-avatar">${initials}</div>
-                    <div class="student-name">${student.full_name || student.username}</div>
-                    <div class="student-username">@${student.username}</div>
-                    <div class="student-class">Class ${student.class}</div>
-                </div>
-            `;
-        }).join('');
-        
-        adminClassStudentsList.innerHTML = studentsHtml;
+        setTaskModalMode(task.task_id);
+        document.getElementById('autoSubject').value = task.subject.charAt(0).toUpperCase() + task.subject.slice(1);
+        document.getElementById('autoTaskId').value = task.task_id;
+        document.getElementById('taskTitle').value = task.title || '';
+        document.getElementById('taskDescription').value = task.description || '';
+        document.getElementById('taskDueDate').value = toDateInputValue(task.due_date);
+        document.getElementById('taskPublishDate').value = toDateInputValue(task.publish_date);
+        document.getElementById('taskDraft').checked = isTaskDraft(task);
+        setRubricEditor(getTaskRubric(task));
         
+        document.getElementById('addTaskModal').classList.remove('hidden');
     } catch (error) {
-        console.error('Error loading admin class students:', error);
-        const adminClassStudentsList = document.getElementById('adminClassStudentsList');
-        adminClassStudentsList.innerHTML = '<p class="text-red-500 text-center py-8">Error loading students. Please try again.</p>';
+        console.error('Error opening edit task modal:', error);
+        alert('Error loading task. Please try again.');
     }
 }
 
-async function openStudentTaskModal(username, fullName, classNum) {
+async function setTaskArchived(taskId, archived) {
+    await updateTaskFields(taskId, { status: archived ? 'archived' : '' });
+}
+
+async function updateTaskFields(taskId, changes) {
+    const selectedClass = document.getElementById('adminTaskClassSelect').value;
+    const selectedSubject = document.getElementById('adminTaskSubjectSelect').value;
+    if (!ensureTermWritable()) return;
+    
     try {
-        const modal = document.getElementById('studentTaskModal');
-        const title = document.getElementById('studentTaskModalTitle');
-        const content = document.getElementById('studentTaskModalContent');
+        const result = await api.updateRow(`${selectedClass}_tasks_master`, 'task_id', taskId, changes);
         
-        title.textContent = `Tasks for ${fullName} - ${selectedSubjectForModal}`;
+        if (result && result.queued) {
+            alert('You are offline. The change is saved and will be applied when the connection returns.');
+        } else if (!result || !result.success) {
+            throw new Error(result?.error || 'Failed to update task');
+        }
         
-        // Show skeleton immediately
-        content.innerHTML = `
-            <div class="animate-pulse space-y-4">
-                ${Array(3).fill(0).map(() => `
-                    <div class="bg-gray-50 rounded-lg p-4 border-2 border-gray-200">
-                        <div class="flex items-start space-x-3">
-                            <div class="w-4 h-4 bg-gray-200 rounded mt-1"></div>
-                            <div class="flex-1">
-                                <div class="flex justify-between items-center mb-2">
-                                    <div class="h-4 bg-gray-200 rounded w-16"></div>
-                                    <div class="h-6 bg-gray-200 rounded w-20"></div>
-                                </div>
-                                <div class="h-5 bg-gray-200 rounded w-3/4 mb-2"></div>
-                                <div class="h-4 bg-gray-200 rounded w-full mb-2"></div>
-                                <div class="h-3 bg-gray-200 rounded w-32"></div>
-                            </div>
-                        </div>
-                    </div>
-                `).join('')}
-            </div>
-        `;
+        await loadAdminClassSubjectData(selectedClass, selectedSubject);
+    } catch (error) {
+        console.error('Error updating task status:', error);
+        alert('Error updating task: ' + error.message);
+    }
+}
+
+async function archiveTask(taskId) {
+    if (!confirm(`Archive task ${taskId}? Students will no longer see it and it will not count towards their points. Existing marks are kept and the task can be restored later.`)) {
+        return;
+    }
+    await setTaskArchived(taskId, true);
+}
+
+async function restoreTask(taskId) {
+    await setTaskArchived(taskId, false);
+}
+
+// Out of draft and past any publish date, so students see it today
+async function publishTask(taskId) {
+    if (!confirm(`Publish task ${taskId} to students now?`)) return;
+    await updateTaskFields(taskId, { status: '', publish_date: '' });
+}
+
+// Numbering runs on across terms: task_id is the key progress rows and
+// updateRow use, so it stays unique in the class sheet. Only terms that are
+// still open can get new tasks.
+async function getNextTaskId(classNum, term = getSelectedTerm()) {
+    if (isTermReadOnly(term)) {
+        throw new Error(`${termLabel(term)} has ended and is read-only`);
+    }
+    
+    // Fresh rows, so tasks added elsewhere since the page loaded are counted;
+    // the cached copy only when offline. Only a class with no tasks sheet yet
+    // starts at T1: guessing on any other error would reuse existing IDs.
+    const tasksSheetName = `${classNum}_tasks_master`;
+    let tasks = await api.getSheet(tasksSheetName, false);
+    if (!Array.isArray(tasks) && !/not found/i.test(tasks?.error || '')) tasks = await api.getSheet(tasksSheetName);
+    
+    if (!Array.isArray(tasks)) {
+        if (/not found/i.test(tasks?.error || '')) return 'T1';
+        throw new Error(`Could not read the task list to number the new task: ${tasks?.error || 'no response'}`);
+    }
+    
+    // Extract all task IDs and find the highest number
+    const taskIds = tasks
+        .map(task => String(task.task_id ?? ''))
+        .filter(id => id.startsWith('T'))
+        .map(id => {
+            const num = parseInt(id.substring(1));
+            return isNaN(num) ? 0 : num;
+        });
+    
+    if (taskIds.length === 0) {
+        return 'T1';
+    }
+    
+    const maxId = Math.max(...taskIds);
+    return `T${maxId + 1}`;
+}
+
+async function submitAddTaskForm(event) {
+    event.preventDefault();
+    
+    const submitBtn = event.target.querySelector('button[type="submit"]');
+    
+    try {
+        submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin mr-2"></i>${editingTaskId ? 'Saving' : 'Adding'} Task...`;
+        submitBtn.disabled = true;
         
-        modal.classList.remove('hidden');
+        const selectedClass = document.getElementById('adminTaskClassSelect').value;
+        const selectedSubject = document.getElementById('adminTaskSubjectSelect').value;
+        const taskId = document.getElementById('autoTaskId').value;
+        const title = document.getElementById('taskTitle').value.trim();
+        const description = document.getElementById('taskDescription').value.trim();
+        const dueDate = document.getElementById('taskDueDate').value;
+        const publishDate = document.getElementById('taskPublishDate').value;
+        const draft = document.getElementById('taskDraft').checked;
         
-        // Load student's progress and class tasks in parallel
-        const [progress, tasks] = await Promise.all([
-            api.getSheet(`${username}_progress`),
-            api.getSheet(`${classNum}_tasks_master`)
-        ]);
+        // Validation
+        if (!title || !description || !dueDate) {
+            alert('Please fill in all required fields.');
+            return;
+        }
+        if (publishDate && publishDate > dueDate) {
+            alert('The publish date must be on or before the due date.');
+            return;
+        }
         
-        if (!tasks || tasks.error || tasks.length === 0) {
-            content.innerHTML = '<p class="text-gray-500 text-center py-8">No tasks found for this class.</p>';
+        const rubricCriteria = readRubricEditor();
+        const rubricError = validateRubric(rubricCriteria);
+        if (rubricError) {
+            alert(rubricError);
             return;
         }
+        const rubric = formatCriteriaList(rubricCriteria);
         
-        // Filter tasks by the selected subject
-        const subjectTasks = selectedSubjectForModal ? 
-            tasks.filter(task => task.subject && task.subject.toLowerCase() === selectedSubjectForModal.toLowerCase()) :
-            tasks;
+        // Format due and publish dates to MM-DD-YYYY
+        const formattedDueDate = formatSheetDate(dueDate);
+        const formattedPublishDate = publishDate ? formatSheetDate(publishDate) : '';
         
-        if (subjectTasks.length === 0) {
-            content.innerHTML = `<p class="text-gray-500 text-center py-8">No tasks found for ${selectedSubjectForModal} in this class.</p>`;
+        if (editingTaskId) {
+            await saveEditedTask(selectedClass, selectedSubject, {
+                title,
+                description,
+                due_date: formattedDueDate,
+                status: draft ? 'draft' : '',
+                rubric,
+                publish_date: formattedPublishDate
+            });
             return;
         }
         
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        // Prepare row data (subject, task_id, title, description, due_date, status, rubric, year, term, publish_date)
+        const term = getSelectedTerm();
+        const rowData = [
+            selectedSubject,
+            taskId,
+            title,
+            description,
+            formattedDueDate,
+            draft ? 'draft' : '',
+            rubric,
+            term.year,
+            term.term,
+            formattedPublishDate
+        ];
         
-        const tasksHtml = subjectTasks.map(task => {
-            const userTask = Array.isArray(progress) ? progress.find(p => 
-                String(p.item_id) === String(task.task_id) && 
-                p.item_type === "task" && 
-                p.status === "complete"
-            ) : null;
-            
-            const completed = !!userTask;
-            const currentGrade = userTask ? parseInt(userTask.grade || 30) : 30;
-            
-            const dueDate = new Date(task.due_date);
-            dueDate.setHours(0, 0, 0, 0);
-            const isOverdue = !completed && dueDate < today;
-            const isDueToday = dueDate.getTime() === today.getTime();
-            
-            let taskClass = 'admin-task-item';
-            let statusIcon = '';
-            let statusText = '';
-            
-            if (completed) {
-                taskClass += ' completed';
-                statusIcon = '<i class="fas fa-check-circle text-green-500"></i>';
-                statusText = `Completed (${currentGrade}/30)`;
-            } else if (isOverdue) {
-                statusIcon = '<i class="fas fa-exclamation-triangle text-red-500"></i>';
-                statusText = 'Overdue';
-            } else if (isDueToday) {
-                statusIcon = '<i class="fas fa-clock text-orange-500"></i>';
-                statusText = 'Due Today';
-            } else {
-                statusIcon = '<i class="fas fa-clock text-gray-400"></i>';
-                statusText = 'Pending';
-            }
-            
-            return `
-                <div class="${taskClass}">
-                    <div class="flex items-start space-x-3">
-                        <input type="checkbox" 
-                               data-task-id="${task.task_id}"
-                               data-username="${username}"
-                               ${completed ? 'checked disabled' : ''}
-                               class="task-checkbox"
-                               onchange="toggleGradeSection('${task.task_id}', this.checked)">
-                        <div class="flex-1">
-                            <div class="flex items-center justify-between mb-2">
-                                <span class="task-id-badge">${task.task_id}</span>
-                                <div class="flex items-center space-x-2">
-                                    ${statusIcon}
-                                    <span class="text-xs font-medium">${statusText}</span>
-                                </div>
-                            </div>
-                            <h4 class="task-title">${task.title}</h4>
-                            <p class="task-description">${task.description}</p>
-                            <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mt-2">
-                                <p class="task-due-date">
-                                    <i class="fas fa-calendar-alt mr-1"></i>
-                                    Due: ${new Date(task.due_date).toLocaleDateString('en-US', {
-                                        year: 'numeric',
-                                        month: 'short',
-                                        day: 'numeric'
-                                    })}
-                                </p>
-                                <span class="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">
-                                    ${task.subject}
-                                </span>
-                            </div>
-                            <div class="grade-section" id="grade-${task.task_id}">
-                                <div class="grade-input-group">
-                                    <span class="grade-label">Points:</span>
-                                    <input type="number" 
-                                           class="grade-input" 
-                                           id="grade-input-${task.task_id}"
-                                           min="0" 
-                                           value="${currentGrade}"
-                                           placeholder="Enter points">
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        // Add to Google Sheet
+        const tasksSheetName = `${selectedClass}_tasks_master`;
+        const result = await api.addRow(tasksSheetName, rowData);
         
-        content.innerHTML = tasksHtml;
+        if (result && result.queued) {
+            alert('You are offline. The task is saved and will be added when the connection returns.');
+            closeAddTaskModal();
+        } else if (result && (result.success || result.message?.includes('Success'))) {
+            alert(draft ? 'Task saved as a draft. Students will not see it until you publish it.' :
+                  formattedPublishDate && isTaskScheduled({ publish_date: formattedPublishDate }) ?
+                  `Task scheduled. Students will see it from ${publishDate}.` :
+                  'Task added successfully!');
+            closeAddTaskModal();
+            
+            // Refresh the tasks list
+            await loadAdminClassSubjectData(selectedClass, selectedSubject);
+        } else {
+            throw new Error(result?.error || 'Failed to add task');
+        }
         
     } catch (error) {
-        console.error('Error opening student task modal:', error);
-        const content = document.getElementById('studentTaskModalContent');
-        content.innerHTML = '<p class="text-red-500 text-center py-8">Error loading student tasks. Please try again.</p>';
+        console.error('Error adding task:', error);
+        alert('Error saving task: ' + error.message);
+    } finally {
+        // Restores the button label for whichever mode the modal is now in
+        setTaskModalMode(editingTaskId);
+        submitBtn.disabled = false;
     }
 }
 
-function toggleGradeSection(taskId, isChecked) {
-    const gradeSection = document.getElementById(`grade-${taskId}`);
-    if (gradeSection) {
-        if (isChecked) {
-            gradeSection.classList.add('show');
+async function saveEditedTask(selectedClass, selectedSubject, changes) {
+    const result = await api.updateRow(`${selectedClass}_tasks_master`, 'task_id', editingTaskId, changes);
+    
+    if (result && result.queued) {
+        alert('You are offline. The changes are saved and will be applied when the connection returns.');
+        closeAddTaskModal();
+    } else if (result && result.success) {
+        alert('Task updated successfully!');
+        closeAddTaskModal();
+        await loadAdminClassSubjectData(selectedClass, selectedSubject);
+    } else {
+        throw new Error(result?.error || 'Failed to update task');
+    }
+}
+
+// =============================
+// 📥 Import Tasks
+// =============================
+// Bulk-add a term's tasks for the selected class and subject from a CSV or
+// XLSX file with subject, title, description and due_date columns (rubric is
+// optional). Rows are checked in a preview first; only accepted rows are
+// numbered, when they are sent, and appended to <class>_tasks_master in a
+// single request.
+let importTasksState = null;
+
+const IMPORT_COLUMN_ALIASES = {
+    subject: ['subject'],
+    title: ['title', 'task', 'task title'],
+    description: ['description', 'details'],
+    due_date: ['due_date', 'due date', 'due', 'deadline'],
+    rubric: ['rubric', 'marking rubric']
+};
+
+function openImportTasksModal() {
+    if (!selectedClassForModal || !selectedSubjectForModal) {
+        alert('Please select both class and subject first.');
+        return;
+    }
+    if (!ensureTermWritable()) return;
+    importTasksState = { classNum: selectedClassForModal, subject: selectedSubjectForModal, term: getSelectedTerm(), rows: [] };
+    document.getElementById('importTasksTarget').textContent =
+        `Class ${importTasksState.classNum} - ${importTasksState.subject.charAt(0).toUpperCase() + importTasksState.subject.slice(1)}, ${termLabel(importTasksState.term)}`;
+    document.getElementById('importTasksFile').value = '';
+    document.getElementById('importTasksPreview').innerHTML = '';
+    document.getElementById('importTasksSummary').textContent = '';
+    document.getElementById('importTasksSubmitBtn').disabled = true;
+    document.getElementById('importTasksModal').classList.remove('hidden');
+}
+
+function closeImportTasksModal() {
+    document.getElementById('importTasksModal').classList.add('hidden');
+    importTasksState = null;
+}
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, quotes and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
         } else {
-            gradeSection.classList.remove('show');
+            field += char;
         }
     }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => String(cell).trim() !== ''));
 }
 
-async function submitSelectedStudentTasks() {
-    const submitBtn = event.target;
-    const originalText = submitBtn.innerHTML;
+async function readImportFile(file) {
+    if (/\.xlsx?$/i.test(file.name)) {
+        if (typeof XLSX === 'undefined') throw new Error('The Excel reader could not be loaded. Save the file as CSV and try again.');
+        const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: true })
+            .filter(cells => cells.some(cell => String(cell).trim() !== ''));
+    }
+    return parseCsv((await file.text()).replace(/^\uFEFF/, ''));
+}
+
+// Accepts YYYY-MM-DD, MM-DD-YYYY, MM/DD/YYYY and spreadsheet dates;
+// returns the MM-DD-YYYY sheet format, or null for anything else
+function parseImportDate(value) {
+    let year, month, day;
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        [year, month, day] = [value.getFullYear(), value.getMonth() + 1, value.getDate()];
+    } else {
+        const text = String(value).trim();
+        let match;
+        if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+            [year, month, day] = [match[1], match[2], match[3]].map(Number);
+        } else if ((match = text.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/))) {
+            [month, day, year] = [match[1], match[2], match[3]].map(Number);
+        } else {
+            return null;
+        }
+    }
+    
+    const check = new Date(year, month - 1, day);
+    if (check.getFullYear() !== year || check.getMonth() !== month - 1 || check.getDate() !== day) return null;
+    return `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}-${year}`;
+}
+
+// Column index for each known field, from the header row
+function mapImportColumns(headerRow) {
+    const normalized = headerRow.map(cell => String(cell).trim().toLowerCase().replace(/\s+/g, ' '));
+    const columns = {};
+    Object.entries(IMPORT_COLUMN_ALIASES).forEach(([field, aliases]) => {
+        columns[field] = normalized.findIndex(header => aliases.includes(header));
+    });
+    return columns;
+}
+
+function validateImportRow(cells, columns, subject) {
+    const value = field => columns[field] === -1 ? '' : cells[columns[field]] ?? '';
+    const text = field => String(value(field)).trim();
+    const rowSubject = text('subject') || subject;
+    const row = {
+        subject: rowSubject,
+        title: text('title'),
+        description: text('description'),
+        dueDateRaw: value('due_date') instanceof Date ? value('due_date').toLocaleDateString() : text('due_date'),
+        due_date: parseImportDate(value('due_date')),
+        rubric: text('rubric'),
+        errors: []
+    };
+    
+    if (rowSubject.toLowerCase() !== subject.toLowerCase()) row.errors.push(`Subject is not ${subject}`);
+    if (!row.title) row.errors.push('Missing title');
+    if (!row.description) row.errors.push('Missing description');
+    if (!row.dueDateRaw) row.errors.push('Missing due date');
+    else if (!row.due_date) row.errors.push('Bad due date (use YYYY-MM-DD or MM-DD-YYYY)');
+    if (row.rubric) {
+        const criteria = parseCriteriaList(row.rubric);
+        const rubricError = criteria.length === 0 ? 'Rubric must look like Content:10|Presentation:10' : validateRubric(criteria);
+        if (rubricError) row.errors.push(rubricError);
+        else row.rubric = formatCriteriaList(criteria);
+    }
+    // Stored with the selected subject's spelling
+    row.subject = subject;
+    return row;
+}
+
+async function previewImportTasks(input) {
+    const file = input.files && input.files[0];
+    const preview = document.getElementById('importTasksPreview');
+    const summary = document.getElementById('importTasksSummary');
+    const submitBtn = document.getElementById('importTasksSubmitBtn');
+    submitBtn.disabled = true;
+    if (!file || !importTasksState) return;
+    
+    preview.innerHTML = '<p class="text-gray-500 text-center py-4"><i class="fas fa-spinner fa-spin mr-2"></i>Reading file...</p>';
+    summary.textContent = '';
     
     try {
-        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Submitting...';
-        submitBtn.disabled = true;
+        const [headerRow, ...dataRows] = await readImportFile(file);
+        if (!headerRow) throw new Error('The file is empty.');
         
-        const selectedCheckboxes = document.querySelectorAll('#studentTaskModalContent input[type="checkbox"]:checked:not(:disabled)');
+        const columns = mapImportColumns(headerRow);
+        const missing = ['title', 'description', 'due_date'].filter(field => columns[field] === -1);
+        if (missing.length > 0) throw new Error(`Missing column(s): ${missing.join(', ')}`);
+        if (dataRows.length === 0) throw new Error('The file has no task rows.');
         
-        if (selectedCheckboxes.length === 0) {
-            alert('No tasks selected for submission.');
-            return;
-        }
+        const rows = dataRows.map(cells => validateImportRow(cells, columns, importTasksState.subject));
+        importTasksState.rows = rows;
         
-        const promises = [];
-        let updatedCount = 0;
+        const accepted = rows.filter(row => row.errors.length === 0).length;
+        preview.innerHTML = `
+            <table class="import-preview-table">
+                <thead>
+                    <tr><th>#</th><th>Title</th><th>Description</th><th>Due Date</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map((row, index) => `
+                        <tr class="${row.errors.length ? 'import-row-error' : ''}">
+                            <td>${index + 2}</td>
+                            <td>${escapeHtml(row.title) || '-'}</td>
+                            <td class="import-preview-description">${escapeHtml(row.description) || '-'}</td>
+                            <td>${escapeHtml(row.due_date || row.dueDateRaw) || '-'}</td>
+                            <td>${row.errors.length ? escapeHtml(row.errors.join('; ')) : '<i class="fas fa-check text-green-600"></i>'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        summary.textContent = `${accepted} of ${rows.length} row(s) will be imported` +
+            (accepted < rows.length ? `; ${rows.length - accepted} flagged row(s) will be skipped.` : '.');
+        submitBtn.disabled = accepted === 0;
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        importTasksState.rows = [];
+        preview.innerHTML = `<p class="text-red-500 text-center py-4">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function submitImportTasks() {
+    const submitBtn = document.getElementById('importTasksSubmitBtn');
+    const originalText = submitBtn.innerHTML;
+    const { classNum, subject, term, rows } = importTasksState;
+    const accepted = rows.filter(row => row.errors.length === 0);
+    if (accepted.length === 0) return;
+    
+    try {
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Importing...';
+        submitBtn.disabled = true;
         
-        for (let checkbox of selectedCheckboxes) {
-            const taskId = checkbox.getAttribute('data-task-id');
-            const username = checkbox.getAttribute('data-username');
-            const gradeInput = document.getElementById(`grade-input-${taskId}`);
-            let grade = 0;
-            
-            if (gradeInput && gradeInput.value) {
-                grade = Math.max(0, parseInt(gradeInput.value) || 0);
-            }
-            
-            const rowData = [
-                taskId,
-                "task",
-                "complete",
-                new Date().toISOString().split('T')[0],
-                grade.toString()
-            ];
-            
-            promises.push(api.addRow(`${username}_progress`, rowData));
-            updatedCount++;
-        }
+        // IDs continue from the class's highest task number as it is now
+        let nextNumber = parseInt((await getNextTaskId(classNum, term)).substring(1)) || 1;
+        accepted.forEach(row => {
+            row.task_id = `T${nextNumber++}`;
+        });
         
-        await Promise.all(promises);
-        alert(`${updatedCount} task(s) marked as completed successfully!`);
-        closeStudentTaskModal();
+        // subject, task_id, title, description, due_date, status, rubric, year, term
+        const result = await api.addRows(`${classNum}_tasks_master`, accepted.map(row => [
+            row.subject,
+            row.task_id,
+            row.title,
+            row.description,
+            row.due_date,
+            '',
+            row.rubric,
+            term.year,
+            term.term
+        ]));
         
-        // Refresh the current view
-        const selectedClass = document.getElementById('adminTaskClassSelect').value;
-        const selectedSubject = document.getElementById('adminTaskSubjectSelect').value;
-        if (selectedClass && selectedSubject) {
-            await loadAdminClassSubjectData(selectedClass, selectedSubject);
+        if (result && result.queued) {
+            alert(`You are offline. ${accepted.length} task(s) are saved and will be added when the connection returns.`);
+            closeImportTasksModal();
+        } else if (result && result.success) {
+            alert(`${accepted.length} task(s) imported successfully!`);
+            closeImportTasksModal();
+            await loadAdminClassSubjectData(classNum, subject);
+        } else {
+            throw new Error(result?.error || 'Failed to import tasks');
         }
-        
     } catch (error) {
-        console.error('Error submitting selected student tasks:', error);
-        alert('Error submitting tasks. Please try again.');
+        console.error('Error importing tasks:', error);
+        alert('Error importing tasks: ' + error.message);
     } finally {
         submitBtn.innerHTML = originalText;
-        submitBtn.disabled = false;
+        submitBtn.disabled = !importTasksState;
     }
 }
 
-function closeStudentTaskModal() {
-    document.getElementById('studentTaskModal').classList.add('hidden');
+// =============================
+// 👥 User Management
+// =============================
+// Admin "Users" page over user_credentials (read through user_roster, so
+// passwords are never shown): add, edit, deactivate / reactivate, reset
+// passwords and import a roster from CSV. New students get an empty
+// <username>_progress sheet straight away.
+let editingUsername = null;
+let importUsersState = null;
+
+const USERNAME_PATTERN = /^[a-z0-9_.]+$/i;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Mirrors the backend: deactivated users and alumni cannot sign in
+function isUserActive(user) {
+    return !['inactive', 'alumni'].includes(String(user.status || '').toLowerCase());
 }
 
-// Clear admin task filters
-function clearAdminTaskFilters() {
-    document.getElementById('adminTaskClassSelect').value = '';
-    document.getElementById('adminTaskSubjectSelect').value = '';
-    document.getElementById('adminTaskSubjectSelect').disabled = true;
-    document.getElementById('adminTaskSubjectSelect').innerHTML = '<option value="">-- Select Subject --</option>';
+function userStatusLabel(user) {
+    const status = String(user.status || '').toLowerCase();
+    return status === 'alumni' ? 'Alumni' : status === 'inactive' ? 'Inactive' : 'Active';
+}
+
+// Readable passwords for handing out on paper: no 0/O or 1/l/I
+function generatePassword(length = 8) {
+    const alphabet = 'abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const values = crypto.getRandomValues(new Uint32Array(length));
+    return Array.from(values, value => alphabet[value % alphabet.length]).join('');
+}
+
+// The admin subjects syntax loadAdminData understands: bracket groups per
+// class, "(5-english,mathematics)(6-all)", or one plain list for every class,
+// "english, arabic". Subject names cannot hold "-" because of how groups split.
+function validateAdminSubjects(subjects, classes) {
+    const text = String(subjects || '').trim();
+    if (!text) return null;
     
-    selectedClassForModal = null;
-    selectedSubjectForModal = null;
+    const checkNames = (names, where) => {
+        const list = names.split(',').map(name => name.trim());
+        if (list.some(name => !/^[a-z][a-z ]*$/i.test(name))) {
+            return `Subjects${where} must be letters and spaces, separated by commas.`;
+        }
+        if (list.length > 1 && list.some(name => name.toLowerCase() === 'all')) {
+            return `"all" cannot be combined with other subjects${where}.`;
+        }
+        return null;
+    };
     
-    document.getElementById('adminTasksClassSubjectView').classList.add('hidden');
-    document.getElementById('adminTasksDefaultView').classList.remove('hidden');
+    if (!/[()]/.test(text)) return checkNames(text, '');
+    
+    if (!/^(\s*\(\s*\d+\s*-[^()]+\)\s*)+$/.test(text)) {
+        return 'Subjects must be written as groups like (5-english,mathematics)(6-all).';
+    }
+    const seen = new Set();
+    for (const group of text.match(/\([^)]*\)/g)) {
+        const [classNum, ...rest] = group.slice(1, -1).split('-');
+        const cls = classNum.trim();
+        if (!classes.includes(cls)) return `Class ${cls} in subjects is not one of this admin's classes.`;
+        if (seen.has(cls)) return `Class ${cls} is listed twice in subjects.`;
+        seen.add(cls);
+        const error = checkNames(rest.join('-'), ` for class ${cls}`);
+        if (error) return error;
+    }
+    return null;
 }
 
-// =============================
-// 👨‍💼 Admin Status Functions (OPTIMIZED)
-// =============================
-async function loadAllUsersStatus() {
+function parseClassList(value) {
+    return String(value || '').split(/[,\s]+/).map(c => c.trim()).filter(Boolean);
+}
+
+// Error message for a user record, null when it can be saved. existing is
+// the roster the username must be unique in (skipped when editing).
+function validateUserRecord(user, existing) {
+    if (!user.username) return 'Username is required.';
+    if (!USERNAME_PATTERN.test(user.username)) return 'Usernames may only use letters, digits, "_" and ".".';
+    if (existing && existing.some(other => String(other.username).toLowerCase() === user.username.toLowerCase())) {
+        return `Username ${user.username} is already taken.`;
+    }
+    if (!user.full_name) return 'Full name is required.';
+    if (!['admin', 'student'].includes(user.role)) return 'Role must be admin or student.';
+    
+    const classes = parseClassList(user.class);
+    if (classes.some(cls => !/^\d+$/.test(cls))) return 'Classes must be numbers, e.g. 5 or 5,6.';
+    if (user.role === 'student') {
+        if (classes.length > 1) return 'A student belongs to one class.';
+        if (user.subjects) return 'Subjects are only set for admins.';
+    } else {
+        const subjectsError = validateAdminSubjects(user.subjects, classes);
+        if (subjectsError) return subjectsError;
+    }
+    if (user.password !== undefined && user.password.length < MIN_PASSWORD_LENGTH) {
+        return `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+    }
+    return null;
+}
+
+// username, password, full_name, role, class, subjects, status
+function buildUserRow(user) {
+    return [user.username, user.password, user.full_name, user.role, user.class, user.subjects, ''];
+}
+
+async function createProgressSheets(users) {
+    const results = await Promise.all(users
+        .filter(user => user.role === 'student')
+        .map(user => api.createSheet(`${user.username}_progress`)));
+    const failed = results.find(result => !result || result.error);
+    if (failed) throw new Error(failed?.error || 'Could not create progress sheets');
+}
+
+async function loadAdminUsers(useCache = true) {
+    const list = document.getElementById('adminUsersList');
+    list.innerHTML = '<p class="text-gray-500 text-center py-8"><i class="fas fa-spinner fa-spin mr-2"></i>Loading users...</p>';
+    
     try {
-        const userSelect = document.getElementById('userSelect');
-        const noUserSelected = document.getElementById('noUserSelected');
-        const selectedUserStatus = document.getElementById('selectedUserStatus');
-        
-        // Show loading in user select
-        userSelect.innerHTML = '<option value="">-- Loading Users... --</option>';
-        
-        // Load all users
-        const users = await api.getSheet("user_credentials");
-        
-        // Clear and populate user select
-        userSelect.innerHTML = '<option value="">-- Select User --</option>';
-        
-        if (users && Array.isArray(users)) {
-            const students = users.filter(user => user.role === 'student');
-            students.forEach(student => {
-                const option = document.createElement('option');
-                option.value = student.username;
-                option.textContent = `${student.full_name || student.username} (Class ${student.class || 'N/A'})`;
-                userSelect.appendChild(option);
-            });
-        }
-        
-        // Remove existing event listeners to avoid duplication
-        const newUserSelect = userSelect.cloneNode(true);
-        userSelect.parentNode.replaceChild(newUserSelect, userSelect);
-        
-        // Add event listener for user selection
-        document.getElementById('userSelect').addEventListener('change', async function() {
-            const selectedUsername = this.value;
-            
-            if (selectedUsername) {
-                noUserSelected.classList.add('hidden');
-                selectedUserStatus.classList.remove('hidden');
-                await loadSelectedUserStatus(selectedUsername);
-            } else {
-                noUserSelected.classList.remove('hidden');
-                selectedUserStatus.classList.add('hidden');
-            }
-        });
+        const users = await api.getUserRoster(useCache);
+        if (!Array.isArray(users)) throw new Error(users?.error || 'Could not load users');
         
-        // Show no user selected initially
-        noUserSelected.classList.remove('hidden');
-        selectedUserStatus.classList.add('hidden');
+        const classFilter = document.getElementById('adminUsersClassFilter');
+        const selectedClass = classFilter.value;
+        const classes = [...new Set(users.flatMap(user => parseClassList(user.class)))].sort((a, b) => a - b);
+        classFilter.innerHTML = '<option value="">All classes</option>' +
+            classes.map(cls => `<option value="${cls}">Class ${cls}</option>`).join('');
+        classFilter.value = classes.includes(selectedClass) ? selectedClass : '';
         
+        renderAdminUsers(users);
     } catch (error) {
-        console.error('Error loading all users status:', error);
-        const userSelect = document.getElementById('userSelect');
-        userSelect.innerHTML = '<option value="">-- Error Loading Users --</option>';
+        console.error('Error loading users:', error);
+        list.innerHTML = '<p class="text-red-500 text-center py-8">Error loading users. Please try again.</p>';
     }
 }
 
-async function loadSelectedUserStatus(username) {
+async function filterAdminUsers() {
+    renderAdminUsers(await api.getUserRoster());
+}
+
+function renderAdminUsers(users) {
+    const list = document.getElementById('adminUsersList');
+    const search = document.getElementById('adminUsersSearch').value.trim().toLowerCase();
+    const role = document.getElementById('adminUsersRoleFilter').value;
+    const cls = document.getElementById('adminUsersClassFilter').value;
+    const showInactive = document.getElementById('adminUsersShowInactive').checked;
+    
+    const shown = users.filter(user =>
+        (!search || `${user.username} ${user.full_name || ''}`.toLowerCase().includes(search)) &&
+        (!role || user.role === role) &&
+        (!cls || parseClassList(user.class).includes(cls)) &&
+        (showInactive || isUserActive(user))
+    ).sort((a, b) =>
+        String(a.role).localeCompare(String(b.role)) ||
+        String(a.class).localeCompare(String(b.class), undefined, { numeric: true }) ||
+        String(a.full_name || a.username).localeCompare(String(b.full_name || b.username))
+    );
+    
+    document.getElementById('adminUsersCount').textContent = `${shown.length} of ${users.length} users`;
+    
+    if (shown.length === 0) {
+        list.innerHTML = '<p class="text-gray-500 text-center py-8">No users match these filters.</p>';
+        return;
+    }
+    
+    list.innerHTML = `
+        <table class="users-table">
+            <thead>
+                <tr><th>Name</th><th>Username</th><th>Role</th><th>Class</th><th>Subjects</th><th>Status</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${shown.map(user => {
+                    const active = isUserActive(user);
+                    const isSelf = user.username === currentUser.username;
+                    return `
+                        <tr class="${active ? '' : 'user-inactive'}">
+                            <td class="font-medium">${escapeHtml(user.full_name) || '-'}</td>
+                            <td>${escapeHtml(user.username)}</td>
+                            <td class="capitalize">${escapeHtml(user.role)}</td>
+                            <td>${escapeHtml(user.class) || '-'}</td>
+                            <td class="users-table-subjects">${escapeHtml(user.subjects) || '-'}</td>
+                            <td><span class="task-status ${active ? 'status-completed' : 'status-archived'}">${userStatusLabel(user)}</span></td>
+                            <td class="task-actions">
+                                <button onclick="openUserModal('${user.username}')" class="task-action-btn text-blue-600">
+                                    <i class="fas fa-edit mr-1"></i>Edit
+                                </button>
+                                <button onclick="resetUserPassword('${user.username}')" class="task-action-btn text-orange-600">
+                                    <i class="fas fa-key mr-1"></i>Reset
+                                </button>
+                                ${isSelf ? '' : active ? `
+                                    <button onclick="setUserActive('${user.username}', false)" class="task-action-btn text-red-600">
+                                        <i class="fas fa-user-slash mr-1"></i>Deactivate
+                                    </button>
+                                ` : `
+                                    <button onclick="setUserActive('${user.username}', true)" class="task-action-btn text-green-600">
+                                        <i class="fas fa-user-check mr-1"></i>Reactivate
+                                    </button>
+                                `}
+                            </td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function updateUserModalFields() {
+    const isAdmin = document.getElementById('userRole').value === 'admin';
+    document.getElementById('userSubjectsGroup').classList.toggle('hidden', !isAdmin);
+    document.getElementById('userClassLabel').textContent = isAdmin ? 'Classes (e.g. 5,6)' : 'Class';
+}
+
+async function openUserModal(username = null) {
+    const users = await api.getUserRoster();
+    const user = username && Array.isArray(users) ? users.find(u => u.username === username) : null;
+    if (username && !user) {
+        alert('User not found. The list will be refreshed.');
+        await loadAdminUsers(false);
+        return;
+    }
+    
+    editingUsername = user ? user.username : null;
+    document.getElementById('userModalTitle').textContent = user ? 'Edit User' : 'Add User';
+    document.getElementById('userUsername').value = user ? user.username : '';
+    document.getElementById('userUsername').readOnly = !!user;
+    document.getElementById('userFullName').value = user ? user.full_name || '' : '';
+    document.getElementById('userRole').value = user ? user.role : 'student';
+    // An admin cannot take away their own admin role
+    document.getElementById('userRole').disabled = !!user && user.username === currentUser.username;
+    document.getElementById('userClassInput').value = user ? user.class || '' : '';
+    document.getElementById('userSubjects').value = user ? user.subjects || '' : '';
+    document.getElementById('userPassword').value = user ? '' : generatePassword();
+    document.getElementById('userPasswordGroup').classList.toggle('hidden', !!user);
+    updateUserModalFields();
+    document.getElementById('userModal').classList.remove('hidden');
+}
+
+function closeUserModal() {
+    document.getElementById('userModal').classList.add('hidden');
+    editingUsername = null;
+}
+
+async function submitUserForm(event) {
+    event.preventDefault();
+    const submitBtn = document.getElementById('userSubmitBtn');
+    const originalText = submitBtn.innerHTML;
+    
+    const role = document.getElementById('userRole').value;
+    const user = {
+        username: document.getElementById('userUsername').value.trim(),
+        full_name: document.getElementById('userFullName').value.trim(),
+        role,
+        class: parseClassList(document.getElementById('userClassInput').value).join(','),
+        subjects: role === 'admin' ? document.getElementById('userSubjects').value.trim() : ''
+    };
+    if (!editingUsername) user.password = document.getElementById('userPassword').value.trim();
+    
     try {
-        // Load user data and progress in parallel
-        const [users, progress] = await Promise.all([
-            api.getSheet("user_credentials"),
-            api.getSheet(`${username}_progress`)
-        ]);
-        
-        const user = users.find(u => u.username === username);
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Saving...';
+        submitBtn.disabled = true;
         
-        if (!user) {
-            alert('User not found!');
+        const users = await api.getUserRoster(false);
+        const error = validateUserRecord(user, editingUsername ? null : users);
+        if (error) {
+            alert(error);
             return;
         }
         
-        // Update user info display
-        document.getElementById('selectedUserName').textContent = user.full_name || user.username;
-        document.getElementById('selectedUserInfo').textContent = `Username: ${user.username} | Class: ${user.class || 'Not Assigned'} | Role: ${user.role}`;
-        
-        // Load simplified admin status (only task chart and subject points)
-        await Promise.all([
-            loadAdminTaskChart(progress, user.class),
-            loadAdminSubjectPointsSummary(progress, user.class)
-        ]);
+        let result;
+        if (editingUsername) {
+            const { username, ...changes } = user;
+            result = await api.updateUser(editingUsername, changes);
+        } else {
+            result = await api.addUsers([buildUserRow(user)]);
+            if (result && !result.error) await createProgressSheets([user]);
+        }
+        if (!result || result.error) throw new Error(result?.error || 'Failed to save user');
         
+        if (result.queued) {
+            alert('You are offline. The change is saved and will be applied when the connection returns.');
+        } else if (!editingUsername) {
+            alert(`User ${user.username} created.\n\nPassword: ${user.password}\n\nGive this password to the user; they can change it after signing in.`);
+        }
+        closeUserModal();
+        await loadAdminUsers(false);
     } catch (error) {
-        console.error('Error loading selected user status:', error);
-        alert('Error loading user status. Please try again.');
+        console.error('Error saving user:', error);
+        alert('Error saving user: ' + error.message);
+    } finally {
+        submitBtn.innerHTML = originalText;
+        submitBtn.disabled = false;
     }
 }
 
-async function loadAdminTaskChart(progress, userClass) {
-    if (!userClass) return;
+async function setUserActive(username, active) {
+    if (!active && !confirm(`Deactivate ${username}? They will be signed out and cannot sign in until reactivated. Their marks are kept.`)) {
+        return;
+    }
     
     try {
-        const tasksSheetName = `${userClass}_tasks_master`;
-        const tasks = await api.getSheet(tasksSheetName);
-        const completedTasks = Array.isArray(progress) ? 
-            progress.filter(p => p.item_type === "task" && p.status === "complete").length : 0;
-        const totalTasks = Array.isArray(tasks) ? tasks.length : 0;
-        const pendingTasks = Math.max(0, totalTasks - completedTasks);
-
-        const ctx = document.getElementById('adminTaskChart');
-        if (!ctx) return;
-        
-        if (adminChartInstances.taskChart) {
-            adminChartInstances.taskChart.destroy();
-        }
-        
-        adminChartInstances.taskChart = new Chart(ctx.getContext('2d'), {
-            type: 'doughnut',
-            data: {
-                labels: ['Completed', 'Pending'],
-                datasets: [{
-                    data: [completedTasks, pendingTasks],
-                    backgroundColor: ['#059669', '#e5e7eb'],
-                    borderWidth: 0
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        position: 'bottom'
-                    }
-                }
-            }
-        });
+        const result = await api.updateUser(username, { status: active ? '' : 'inactive' });
+        if (!result || result.error) throw new Error(result?.error || 'Failed to update user');
+        await loadAdminUsers(false);
+    } catch (error) {
+        console.error('Error updating user status:', error);
+        alert('Error updating user: ' + error.message);
+    }
+}
+
+async function resetUserPassword(username) {
+    const newPassword = generatePassword();
+    if (!confirm(`Reset the password of ${username}? Their current password will stop working.`)) return;
+    
+    try {
+        const result = await api.updatePassword(username, newPassword);
+        if (!result || result.error) throw new Error(result?.error || 'Failed to reset password');
+        alert(`New password for ${username}: ${newPassword}`);
     } catch (error) {
-        console.error('Error loading admin task chart:', error);
+        console.error('Error resetting password:', error);
+        alert('Error resetting password: ' + error.message);
     }
 }
 
-async function loadAdminSubjectPointsSummary(progress, userClass) {
+// Roster import: username, full_name, role, class, subjects and an optional
+// password column (generated when blank). Every row must pass before any
+// account is created.
+function openImportUsersModal() {
+    importUsersState = { rows: [] };
+    document.getElementById('importUsersFile').value = '';
+    document.getElementById('importUsersPreview').innerHTML = '';
+    document.getElementById('importUsersSummary').textContent = '';
+    document.getElementById('importUsersSubmitBtn').disabled = true;
+    document.getElementById('importUsersModal').classList.remove('hidden');
+}
+
+function closeImportUsersModal() {
+    document.getElementById('importUsersModal').classList.add('hidden');
+    importUsersState = null;
+}
+
+async function previewImportUsers(input) {
+    const file = input.files && input.files[0];
+    const preview = document.getElementById('importUsersPreview');
+    const summary = document.getElementById('importUsersSummary');
+    const submitBtn = document.getElementById('importUsersSubmitBtn');
+    submitBtn.disabled = true;
+    if (!file || !importUsersState) return;
+    
+    preview.innerHTML = '<p class="text-gray-500 text-center py-4"><i class="fas fa-spinner fa-spin mr-2"></i>Reading file...</p>';
+    summary.textContent = '';
+    
     try {
-        if (!userClass) return;
-        
-        const tasksSheetName = `${userClass}_tasks_master`;
-        const tasks = await api.getSheet(tasksSheetName);
-        
-        if (!tasks || tasks.error || tasks.length === 0) return;
+        const [headerRow, ...dataRows] = await readImportFile(file);
+        if (!headerRow) throw new Error('The file is empty.');
         
-        // Group tasks by subject and calculate points
-        const subjectStats = {};
+        const headers = headerRow.map(cell => String(cell).trim().toLowerCase().replace(/\s+/g, '_'));
+        const missing = ['username', 'full_name', 'role', 'class'].filter(column => !headers.includes(column));
+        if (missing.length > 0) throw new Error(`Missing column(s): ${missing.join(', ')}`);
+        if (dataRows.length === 0) throw new Error('The file has no user rows.');
         
-        tasks.forEach(task => {
-            const subject = task.subject || 'General';
-            if (!subjectStats[subject]) {
-                subjectStats[subject] = {
-                    totalTasks: 0,
-                    completedTasks: 0,
-                    totalPoints: 0,
-                    earnedPoints: 0
-                };
-            }
-            
-            subjectStats[subject].totalTasks++;
-            
-            // Check if task is completed
-            const userTask = Array.isArray(progress) ? progress.find(p => 
-                String(p.item_id) === String(task.task_id) && 
-                p.item_type === "task" && 
-                p.status === "complete"
-            ) : null;
-            
-            if (userTask) {
-                subjectStats[subject].completedTasks++;
-                subjectStats[subject].earnedPoints += parseInt(userTask.grade || 0);
-            }
-        });
-        
-        // Calculate total points
-        Object.keys(subjectStats).forEach(subject => {
-            subjectStats[subject].totalPoints = subjectStats[subject].earnedPoints;
+        const existing = await api.getUserRoster(false);
+        const seen = [];
+        const rows = dataRows.map(cells => {
+            const value = column => headers.includes(column) ? String(cells[headers.indexOf(column)] ?? '').trim() : '';
+            const user = {
+                username: value('username'),
+                full_name: value('full_name'),
+                role: value('role').toLowerCase() || 'student',
+                class: parseClassList(value('class')).join(','),
+                subjects: value('subjects'),
+                password: value('password') || generatePassword()
+            };
+            user.error = validateUserRecord(user, [...(Array.isArray(existing) ? existing : []), ...seen]);
+            seen.push(user);
+            return user;
         });
+        importUsersState.rows = rows;
         
-        // Create or find the subject points container in admin status
-        let subjectPointsContainer = document.getElementById('adminSubjectPointsGrid');
-        if (!subjectPointsContainer) {
-            // Create the subject points section after the task chart
-            const taskChartContainer = document.getElementById('adminTaskChart')?.closest('.bg-gray-50');
-            if (taskChartContainer) {
-                const subjectPointsSection = document.createElement('div');
-                subjectPointsSection.className = 'bg-gray-50 rounded-lg p-3 md:p-4';
-                subjectPointsSection.innerHTML = `
-                    <h3 class="text-base md:text-lg font-bold mb-3 md:mb-4 text-blue-600">Subject Points Summary</h3>
-                    <div id="adminSubjectPointsGrid" class="subject-points-grid"></div>
-                `;
-                taskChartContainer.parentNode.insertBefore(subjectPointsSection, taskChartContainer.nextSibling);
-                subjectPointsContainer = document.getElementById('adminSubjectPointsGrid');
-            }
-        }
-        
-        if (!subjectPointsContainer) return;
+        const flagged = rows.filter(row => row.error).length;
+        preview.innerHTML = `
+            <table class="import-preview-table">
+                <thead>
+                    <tr><th>#</th><th>Username</th><th>Full Name</th><th>Role</th><th>Class</th><th>Subjects</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map((row, index) => `
+                        <tr class="${row.error ? 'import-row-error' : ''}">
+                            <td>${index + 2}</td>
+                            <td>${escapeHtml(row.username) || '-'}</td>
+                            <td>${escapeHtml(row.full_name) || '-'}</td>
+                            <td>${escapeHtml(row.role)}</td>
+                            <td>${escapeHtml(row.class) || '-'}</td>
+                            <td>${escapeHtml(row.subjects) || '-'}</td>
+                            <td>${escapeHtml(row.error) || '<i class="fas fa-check text-green-600"></i>'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        summary.textContent = flagged ?
+            `${flagged} of ${rows.length} row(s) need fixing; correct the file and choose it again.` :
+            `${rows.length} user(s) ready to import.`;
+        submitBtn.disabled = flagged > 0;
+    } catch (error) {
+        console.error('Error reading roster file:', error);
+        importUsersState.rows = [];
+        preview.innerHTML = `<p class="text-red-500 text-center py-4">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function submitImportUsers() {
+    const submitBtn = document.getElementById('importUsersSubmitBtn');
+    const originalText = submitBtn.innerHTML;
+    const rows = importUsersState.rows;
+    if (rows.length === 0 || rows.some(row => row.error)) return;
+    
+    try {
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Importing...';
+        submitBtn.disabled = true;
         
-        const subjectCardsHtml = Object.entries(subjectStats).map(([subject, stats]) => {
-            return `
-                <div class="subject-points-card">
-                    <div class="flex items-center justify-center mb-3">
-                        <div class="w-6 h-6 md:w-8 md:h-8 bg-gradient-to-br from-blue-500 to-blue-600 rounded-full flex items-center justify-center text-white mr-2">
-                            <i class="${getSubjectIcon(subject)} text-xs md:text-sm"></i>
-                        </div>
-                        <h4>${subject}</h4>
-                    </div>
-                    <div class="points-display">${stats.earnedPoints}</div>
-                    <div class="points-label">total points</div>
-                    <div class="text-xs text-gray-500 mt-2">
-                        ${stats.completedTasks}/${stats.totalTasks} tasks completed
-                    </div>
-                </div>
-            `;
-        }).join('');
+        const result = await api.addUsers(rows.map(buildUserRow));
+        if (!result || result.error) throw new Error(result?.error || 'Failed to import users');
+        await createProgressSheets(rows);
         
-        subjectPointsContainer.innerHTML = subjectCardsHtml;
+        // The only copy of the generated passwords
+        const today = new Date().toISOString().split('T')[0];
+        downloadFile(`new-user-passwords-${today}.csv`, '\uFEFF' + toCsv([
+            ['username', 'full_name', 'class', 'password'],
+            ...rows.map(row => [row.username, row.full_name, row.class, row.password])
+        ]), 'text/csv;charset=utf-8');
         
+        alert(`${rows.length} user(s) imported. ` +
+              'Their passwords were downloaded as a CSV file; keep it safe.');
+        closeImportUsersModal();
+        await loadAdminUsers(false);
     } catch (error) {
-        console.error('Error loading admin subject points summary:', error);
+        console.error('Error importing users:', error);
+        alert('Error importing users: ' + error.message);
+    } finally {
+        submitBtn.innerHTML = originalText;
+        submitBtn.disabled = !importUsersState;
     }
 }
 
 // =============================
-// ➕ Add Task Functions (OPTIMIZED)
+// 🎓 Year-End Promotion
 // =============================
-async function openAddTaskModal() {
-    const selectedClass = document.getElementById('adminTaskClassSelect').value;
-    const selectedSubject = document.getElementById('adminTaskSubjectSelect').value;
+// Moves every selected student from class N to N+1 (students in FINAL_CLASS
+// become alumni), sets each student's <username>_progress aside as
+// <username>_progress_<academic year> with a fresh sheet in its place, and
+// optionally archives the year's tasks and moves teachers up with their
+// classes. Nothing is written until the previewed plan is applied.
+// A student's class only changes once their progress is set aside, and a row
+// in promotion_log (written just before the change) records where they were
+// moving from and to, so a rerun after a partial failure can tell who has
+// already moved and who still has to.
+const FINAL_CLASS = 10;
+const PROMOTION_LOG_HEADERS = ['year', 'username', 'from_class', 'to_class', 'promoted_by', 'promoted_at'];
+let promotionPlan = null;
+
+// Every class number + 1 in an admin's class and subjects fields; classes
+// past FINAL_CLASS are dropped
+function shiftAdminAssignment(user) {
+    const classes = parseClassList(user.class)
+        .map(cls => Number(cls) + 1)
+        .filter(cls => cls <= FINAL_CLASS)
+        .map(String);
+    const subjects = String(user.subjects || '').trim();
+    const shiftedSubjects = /[()]/.test(subjects) ?
+        (subjects.match(/\([^)]*\)/g) || [])
+            .map(group => group.replace(/^\(\s*(\d+)/, (_, cls) => `(${Number(cls) + 1}`))
+            .filter(group => Number(group.match(/^\((\d+)/)[1]) <= FINAL_CLASS)
+            .join('') :
+        subjects;
+    return { class: classes.join(','), subjects: shiftedSubjects };
+}
+
+async function openPromotionModal() {
+    promotionPlan = null;
+    document.getElementById('promotionYear').value = getAcademicYear();
+    document.getElementById('promotionArchiveTasks').checked = true;
+    document.getElementById('promotionPreview').innerHTML = '';
+    document.getElementById('promotionApplyBtn').disabled = true;
+    document.getElementById('promotionModal').classList.remove('hidden');
     
-    if (!selectedClass || !selectedSubject) {
-        alert('Please select both class and subject first.');
+    const selection = document.getElementById('promotionSelection');
+    selection.innerHTML = '<p class="text-gray-500 text-center py-4"><i class="fas fa-spinner fa-spin mr-2"></i>Loading users...</p>';
+    
+    try {
+        const users = await api.getUserRoster(false);
+        if (!Array.isArray(users)) throw new Error(users?.error || 'Could not load users');
+        
+        const students = users.filter(user => user.role === 'student' && isUserActive(user) && user.class);
+        const classes = [...new Set(students.map(student => String(student.class)))].sort((a, b) => b - a);
+        const teachers = users.filter(user => user.role === 'admin' && isUserActive(user) && user.class);
+        
+        selection.innerHTML = `
+            ${classes.map(cls => `
+                <div class="promotion-class">
+                    <h4>Class ${cls} <span>&rarr; ${Number(cls) >= FINAL_CLASS ? 'Alumni' : `Class ${Number(cls) + 1}`}</span></h4>
+                    <p class="text-xs text-gray-500 mb-1">Untick students who repeat the year.</p>
+                    ${students.filter(student => String(student.class) === cls).map(student => `
+                        <label class="promotion-option">
+                            <input type="checkbox" class="promotion-student" value="${escapeHtml(student.username)}" checked onchange="invalidatePromotionPlan()">
+                            ${escapeHtml(student.full_name || student.username)} <span class="text-gray-400">(${escapeHtml(student.username)})</span>
+                        </label>
+                    `).join('')}
+                </div>
+            `).join('') || '<p class="text-gray-500">No active students with a class.</p>'}
+            ${teachers.length ? `
+                <div class="promotion-class">
+                    <h4>Teachers</h4>
+                    <p class="text-xs text-gray-500 mb-1">Tick teachers who move up with their classes; the rest keep the same class numbers.</p>
+                    ${teachers.map(teacher => `
+                        <label class="promotion-option">
+                            <input type="checkbox" class="promotion-teacher" value="${escapeHtml(teacher.username)}" onchange="invalidatePromotionPlan()">
+                            ${escapeHtml(teacher.full_name || teacher.username)} <span class="text-gray-400">(classes ${escapeHtml(teacher.class)})</span>
+                        </label>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+    } catch (error) {
+        console.error('Error loading promotion data:', error);
+        selection.innerHTML = '<p class="text-red-500 text-center py-4">Error loading users. Please try again.</p>';
+    }
+}
+
+function closePromotionModal() {
+    document.getElementById('promotionModal').classList.add('hidden');
+    promotionPlan = null;
+}
+
+// Any change after a preview has to be previewed again before applying
+function invalidatePromotionPlan() {
+    promotionPlan = null;
+    document.getElementById('promotionApplyBtn').disabled = true;
+    if (document.getElementById('promotionPreview').innerHTML) {
+        document.getElementById('promotionPreview').innerHTML = '<p class="text-xs text-orange-600">Selections changed; preview again before applying.</p>';
+    }
+}
+
+async function sheetExists(sheetName) {
+    const rows = await api.getSheet(sheetName, false);
+    if (Array.isArray(rows)) return true;
+    if (/not found/i.test(rows?.error || '')) return false;
+    throw new Error(rows?.error || `Could not check ${sheetName}`);
+}
+
+// What is left to do for one student: setAside tells whether their progress
+// for the year is already put away, and a logged move is finished (action
+// "done") once the roster shows the student in the class it names
+function planStudentPromotion(user, promoted, logEntry, setAside) {
+    const from = String(user.class);
+    const toChanges = to => to === 'alumni' ? { class: '', status: 'alumni' } : { class: String(to) };
+    
+    if (logEntry) {
+        const to = String(logEntry.to_class);
+        const moved = to === 'alumni' ? user.status === 'alumni' : from === to;
+        // Moved by hand since the earlier run counts as done too
+        if (moved || from !== String(logEntry.from_class)) return { user, action: 'done', from, setAside, changes: null };
+        return { user, action: to === 'alumni' ? 'graduate' : 'promote', from, setAside, logged: true, changes: toChanges(to) };
+    }
+    if (!promoted) return { user, action: 'retain', from, setAside, changes: null };
+    if (Number(from) >= FINAL_CLASS) return { user, action: 'graduate', from, setAside, changes: toChanges('alumni') };
+    return { user, action: 'promote', from, setAside, changes: toChanges(Number(from) + 1) };
+}
+
+// Dry run: work out every change and show it without writing anything
+async function previewPromotion() {
+    const preview = document.getElementById('promotionPreview');
+    const year = document.getElementById('promotionYear').value.trim();
+    if (!/^\d{4}-\d{2}$/.test(year)) {
+        alert('Enter the academic year that is ending, e.g. 2025-26.');
         return;
     }
     
     try {
-        const modal = document.getElementById('addTaskModal');
-        const autoSubject = document.getElementById('autoSubject');
-        const autoTaskId = document.getElementById('autoTaskId');
+        preview.innerHTML = '<p class="text-gray-500 text-center py-4"><i class="fas fa-spinner fa-spin mr-2"></i>Checking earlier runs...</p>';
+        const [users, log] = await Promise.all([api.getUserRoster(false), api.getSheet('promotion_log', false)]);
+        if (!Array.isArray(users)) throw new Error(users?.error || 'Could not load users');
+        const promoted = new Set(Array.from(document.querySelectorAll('.promotion-student:checked'), input => input.value));
+        const listed = new Set(Array.from(document.querySelectorAll('.promotion-student'), input => input.value));
+        const movingTeachers = new Set(Array.from(document.querySelectorAll('.promotion-teacher:checked'), input => input.value));
+        const logged = new Map((Array.isArray(log) ? log : [])
+            .filter(entry => String(entry.year) === year)
+            .map(entry => [String(entry.username), entry]));
         
-        // Set the auto-filled subject
-        autoSubject.value = selectedSubject.charAt(0).toUpperCase() + selectedSubject.slice(1);
+        const students = await Promise.all(users
+            .filter(user => listed.has(user.username))
+            .map(async user => planStudentPromotion(user, promoted.has(user.username), logged.get(user.username),
+                await sheetExists(`${user.username}_progress_${year}`))));
+        const teachers = users
+            .filter(user => movingTeachers.has(user.username))
+            .map(user => ({ user, changes: shiftAdminAssignment(user) }));
+        const archiveTasks = document.getElementById('promotionArchiveTasks').checked;
+        const classes = [...new Set(students.filter(student => student.action !== 'done').map(student => student.from))];
         
-        // Generate next task ID
-        const nextTaskId = await getNextTaskId(selectedClass);
-        autoTaskId.value = nextTaskId;
+        promotionPlan = { year, students, teachers, classes: archiveTasks ? classes : [] };
         
-        // Clear form
-        document.getElementById('taskTitle').value = '';
-        document.getElementById('taskDescription').value = '';
-        document.getElementById('taskDueDate').value = '';
+        const count = action => students.filter(student => student.action === action).length;
+        const toSetAside = students.filter(student => student.action !== 'done' && !student.setAside).length;
+        preview.innerHTML = `
+            <div class="promotion-summary">
+                <p><strong>Dry run</strong> &mdash; nothing has been changed yet. Applying will:</p>
+                <ul>
+                    <li>Promote ${count('promote')} student(s), keep ${count('retain')} in their class and mark ${count('graduate')} as alumni</li>
+                    <li>Set aside ${toSetAside} progress sheet(s) as <code>&lt;username&gt;_progress_${year}</code> and start empty ones</li>
+                    ${count('done') ? `<li>Skip ${count('done')} student(s) already promoted by an earlier run for ${year}</li>` : ''}
+                    ${teachers.map(({ user, changes }) => `
+                        <li>Move ${escapeHtml(user.full_name || user.username)}: classes ${escapeHtml(user.class) || '-'} &rarr; ${escapeHtml(changes.class) || '-'}, subjects ${escapeHtml(user.subjects) || '-'} &rarr; ${escapeHtml(changes.subjects) || '-'}</li>
+                    `).join('')}
+                    ${promotionPlan.classes.length ? `<li>Archive the active tasks of class(es) ${promotionPlan.classes.join(', ')}</li>` : ''}
+                </ul>
+                <table class="import-preview-table mt-2">
+                    <thead><tr><th>Student</th><th>Now</th><th>After</th></tr></thead>
+                    <tbody>
+                        ${students.map(({ user, action, from, changes }) => `
+                            <tr>
+                                <td>${escapeHtml(user.full_name || user.username)}</td>
+                                <td>Class ${escapeHtml(from)}</td>
+                                <td>${action === 'done' ? 'Already promoted' : action === 'graduate' ? 'Alumni' : action === 'retain' ? `Class ${escapeHtml(from)} (repeats)` : `Class ${escapeHtml(changes.class)}`}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        document.getElementById('promotionApplyBtn').disabled = count('done') === students.length && teachers.length === 0;
+    } catch (error) {
+        console.error('Error previewing promotion:', error);
+        promotionPlan = null;
+        preview.innerHTML = '<p class="text-red-500">Error preparing the preview. Please try again.</p>';
+    }
+}
+
+async function applyPromotion() {
+    const plan = promotionPlan;
+    if (!plan) return;
+    if (navigator.onLine === false) {
+        alert('Promotion needs a connection; please try again when you are online.');
+        return;
+    }
+    if (api.requestQueue.length > 0) {
+        alert(`${api.requestQueue.length} offline change(s) are still waiting to be sent. ` +
+              'Promotion can start once they have synced.');
+        return;
+    }
+    if (!confirm(`Apply the year-end promotion for ${plan.year}? This cannot be undone from the dashboard.`)) return;
+    
+    const applyBtn = document.getElementById('promotionApplyBtn');
+    const originalText = applyBtn.innerHTML;
+    applyBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Applying...';
+    applyBtn.disabled = true;
+    
+    // Every write is sent straight away: one parked in the offline queue
+    // would let later steps run as though it had landed
+    const online = { online: true };
+    const failures = [];
+    const attempt = async (label, action) => {
+        try {
+            const result = await action();
+            if (result && result.queued) throw new Error('Not sent; waiting in the offline queue');
+            if (!result || result.error) throw new Error(result?.error || 'No response');
+            return true;
+        } catch (error) {
+            failures.push(`${label}: ${error.message}`);
+            return false;
+        }
+    };
+    
+    try {
+        if (plan.students.some(student => student.changes && !student.logged) &&
+            !await attempt('promotion_log', () => api.createSheet('promotion_log', PROMOTION_LOG_HEADERS, online))) {
+            alert(`Promotion was not started: ${failures[0]}`);
+            return;
+        }
         
-        modal.classList.remove('hidden');
+        for (const { user, action, from, setAside, logged, changes } of plan.students) {
+            if (action === 'done') continue;
+            const progressSheet = `${user.username}_progress`;
+            // Moving a student whose progress was not set aside would mix two years
+            if (!setAside && !await attempt(`${user.username} progress`, async () => {
+                const renamed = await api.renameSheet(progressSheet, `${progressSheet}_${plan.year}`, online);
+                // A student with no progress sheet yet has nothing to set aside
+                if (renamed && renamed.error && !/not found/i.test(renamed.error)) return renamed;
+                return api.createSheet(progressSheet, null, online);
+            })) continue;
+            if (!changes) continue;
+            
+            if (!logged && !await attempt(`${user.username} promotion log`, () => api.addRow('promotion_log', [
+                plan.year,
+                user.username,
+                from,
+                changes.status === 'alumni' ? 'alumni' : changes.class,
+                currentUser.username,
+                new Date().toISOString()
+            ], online))) continue;
+            await attempt(`${user.username} class`, () => api.updateUser(user.username, changes, online));
+        }
         
-    } catch (error) {
-        console.error('Error opening add task modal:', error);
-        alert('Error preparing to add task. Please try again.');
+        for (const { user, changes } of plan.teachers) {
+            await attempt(`${user.username} classes`, () => api.updateUser(user.username, changes, online));
+        }
+        
+        for (const classNum of plan.classes) {
+            // Drafts and scheduled tasks are archived with the rest of the year
+            const tasks = await api.getSheet(`${classNum}_tasks_master`, false);
+            for (const task of Array.isArray(tasks) ? tasks.filter(task => !isTaskArchived(task)) : []) {
+                await attempt(`class ${classNum} task ${task.task_id}`, () =>
+                    api.updateRow(`${classNum}_tasks_master`, 'task_id', task.task_id, { status: 'archived' }, online));
+            }
+        }
+        
+        api.clearCache();
+        if (failures.length) {
+            alert(`Promotion finished with ${failures.length} problem(s):\n\n${failures.slice(0, 15).join('\n')}` +
+                  (failures.length > 15 ? `\n...and ${failures.length - 15} more` : '') +
+                  '\n\nRun the promotion again for the same year to finish; students already moved are skipped.');
+        } else {
+            alert(`Promotion for ${plan.year} complete.`);
+        }
+        closePromotionModal();
+        await loadAdminUsers(false);
+    } finally {
+        applyBtn.innerHTML = originalText;
     }
 }
 
-function closeAddTaskModal() {
-    document.getElementById('addTaskModal').classList.add('hidden');
+// =============================
+// 📝 Registration Review
+// =============================
+// The public signup form appends applicants to the registration sheet with a
+// generated registration_id. Admins approve them (which creates the account)
+// or reject them with a reason; the outcome is written back to the row's
+// status, username, reviewed_by, reviewed_date and review_note columns.
+// Rows from before registration_id existed are matched by phone instead, which
+// only works while no other row shares that phone number.
+// The username is written to the row before the account is created, so a
+// registration whose final review write failed still points at its account
+// and cannot be approved a second time.
+let approvingRegistration = null;
+
+function registrationKey(registration) {
+    return registration.registration_id ?
+        { column: 'registration_id', value: registration.registration_id } :
+        { column: 'phone', value: registration.phone };
+}
+
+function registrationStatus(registration) {
+    return String(registration.status || '').toLowerCase() || 'pending';
+}
+
+// The roster account an earlier approval of this registration already created
+function findRegistrationAccount(registration, users) {
+    const username = String(registration.username || '').trim().toLowerCase();
+    return username && Array.isArray(users) ?
+        users.find(user => String(user.username).toLowerCase() === username &&
+            String(user.full_name || '') === String(registration.name || '')) || null :
+        null;
+}
+
+// Finishes an approval whose account exists but whose review write failed
+async function finishRegistrationApproval(registration, account) {
+    if (confirm(`An account (${account.username}) was already created from ${registration.name}'s registration, ` +
+                'but the registration was never marked approved.\n\nMark it approved now?')) {
+        const result = await markRegistrationReviewed(registration, { status: 'approved', username: account.username });
+        if (!result || result.error || result.queued) {
+            alert('Could not update the registration: ' + (result?.error || 'you are offline') + '. Please try again.');
+        }
+    }
+    await loadRegistrations(false);
+}
+
+// Last ten digits, so "+91 98765 43210" and "9876543210" match
+function normalizePhone(phone) {
+    return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+// Earlier or later applications sharing a phone number or Gmail address
+function findDuplicateRegistrations(registration, registrations) {
+    const phone = normalizePhone(registration.phone);
+    const gmail = String(registration.gmail || '').trim().toLowerCase();
+    return registrations.filter(other => other !== registration && (
+        (phone && normalizePhone(other.phone) === phone) ||
+        (gmail && String(other.gmail || '').trim().toLowerCase() === gmail)
+    ));
+}
+
+// "Fathima Nourin" -> "fathima.nourin", numbered when already taken
+function suggestUsername(name, users) {
+    const taken = new Set((Array.isArray(users) ? users : []).map(user => String(user.username).toLowerCase()));
+    const base = String(name || '').toLowerCase().normalize('NFKD')
+        .replace(/[^a-z\s]/g, '').trim().split(/\s+/).slice(0, 2).join('.').slice(0, 20) || 'student';
+    let candidate = base;
+    for (let n = 2; taken.has(candidate); n++) candidate = `${base}${n}`;
+    return candidate;
 }
 
-async function getNextTaskId(classNum) {
+async function loadRegistrations(useCache = true) {
+    const list = document.getElementById('registrationsList');
+    list.innerHTML = '<p class="text-gray-500 text-center py-8"><i class="fas fa-spinner fa-spin mr-2"></i>Loading registrations...</p>';
+    
     try {
-        const tasksSheetName = `${classNum}_tasks_master`;
-        const tasks = await api.getSheet(tasksSheetName);
+        const registrations = await api.getSheet('registration', useCache);
+        if (!Array.isArray(registrations)) throw new Error(registrations?.error || 'Could not load registrations');
         
-        if (!tasks || tasks.error || tasks.length === 0) {
-            return 'T1';
-        }
+        const filter = document.getElementById('registrationStatusFilter').value;
+        const pendingCount = registrations.filter(r => registrationStatus(r) === 'pending').length;
+        document.getElementById('registrationsCount').textContent = `${pendingCount} pending of ${registrations.length} registrations`;
         
-        // Extract all task IDs and find the highest number
-        const taskIds = tasks
-            .map(task => task.task_id)
-            .filter(id => id && id.startsWith('T'))
-            .map(id => {
-                const num = parseInt(id.substring(1));
-                return isNaN(num) ? 0 : num;
-            });
+        // Newest first
+        const shown = registrations
+            .filter(registration => !filter || registrationStatus(registration) === filter)
+            .reverse();
         
-        if (taskIds.length === 0) {
-            return 'T1';
+        if (shown.length === 0) {
+            list.innerHTML = `<p class="text-gray-500 text-center py-8">No ${filter || ''} registrations.</p>`;
+            return;
         }
         
-        const maxId = Math.max(...taskIds);
-        return `T${maxId + 1}`;
+        // Every field comes from the anonymous signup form, so it is escaped and
+        // the buttons carry their row key in data-* attributes, not in markup
+        list.innerHTML = shown.map(registration => {
+            const status = registrationStatus(registration);
+            const duplicates = findDuplicateRegistrations(registration, registrations);
+            const key = registrationKey(registration);
+            const keyData = `data-column="${escapeHtml(key.column)}" data-value="${escapeHtml(key.value)}"`;
+            const reviewable = key.column !== 'phone' ||
+                registrations.filter(other => String(other.phone) === String(registration.phone)).length === 1;
+            
+            return `
+                <div class="task-item registration-item">
+                    <div class="flex items-center justify-between mb-2">
+                        <h4 class="task-title mb-0">${escapeHtml(registration.name) || '-'}</h4>
+                        <span class="task-status ${status === 'approved' ? 'status-completed' : status === 'rejected' ? 'status-overdue' : 'status-pending'} capitalize">${escapeHtml(status)}</span>
+                    </div>
+                    <div class="registration-details">
+                        <div><i class="fas fa-phone mr-1"></i>${escapeHtml(registration.phone) || '-'}</div>
+                        <div><i class="fas fa-envelope mr-1"></i>${escapeHtml(registration.gmail) || '-'}</div>
+                        <div><i class="fas fa-map-marker-alt mr-1"></i>${escapeHtml([registration.place, registration.po, registration.district, registration.state].filter(Boolean).join(', '))} - ${escapeHtml(registration.pin_code)}</div>
+                        <div><i class="fas fa-calendar-alt mr-1"></i>Applied ${escapeHtml(formatDate(registration.registration_date))}</div>
+                    </div>
+                    ${duplicates.length ? `
+                        <p class="registration-duplicate">
+                            <i class="fas fa-clone mr-1"></i>Repeat application: same phone or Gmail as
+                            ${duplicates.map(other => escapeHtml(`${other.name || 'unnamed'} (${formatDate(other.registration_date)}, ${registrationStatus(other)})`)).join('; ')}
+                        </p>
+                    ` : ''}
+                    ${status === 'approved' ? `
+                        <p class="text-xs text-gray-600 mt-2">Account <strong>${escapeHtml(registration.username)}</strong> created by ${escapeHtml(registration.reviewed_by) || '-'} on ${escapeHtml(formatDate(registration.reviewed_date))}</p>
+                    ` : status === 'rejected' ? `
+                        <p class="text-xs text-gray-600 mt-2">Rejected by ${escapeHtml(registration.reviewed_by) || '-'} on ${escapeHtml(formatDate(registration.reviewed_date))}: ${escapeHtml(registration.review_note) || '-'}</p>
+                    ` : !reviewable ? `
+                        <p class="text-xs text-orange-600 mt-2">This older row shares its phone number with another row; give it a registration_id in the sheet to review it here.</p>
+                    ` : `
+                        <div class="task-actions mt-2">
+                            <button data-registration-action="approve" ${keyData} class="task-action-btn text-green-600">
+                                <i class="fas fa-user-check mr-1"></i>Approve
+                            </button>
+                            <button data-registration-action="reject" ${keyData} class="task-action-btn text-red-600">
+                                <i class="fas fa-user-times mr-1"></i>Reject
+                            </button>
+                        </div>
+                    `}
+                </div>
+            `;
+        }).join('');
         
+        list.querySelectorAll('[data-registration-action]').forEach(button => {
+            const review = button.dataset.registrationAction === 'approve' ? openApproveRegistrationModal : rejectRegistration;
+            button.addEventListener('click', () => review(button.dataset.column, button.dataset.value));
+        });
     } catch (error) {
-        console.error('Error generating next task ID:', error);
-        return 'T1';
+        console.error('Error loading registrations:', error);
+        list.innerHTML = '<p class="text-red-500 text-center py-8">Error loading registrations. Please try again.</p>';
     }
 }
 
-async function submitAddTaskForm(event) {
-    event.preventDefault();
+async function findRegistration(column, value) {
+    const registrations = await api.getSheet('registration', false);
+    return Array.isArray(registrations) ?
+        registrations.find(registration => String(registration[column]) === String(value) && registrationStatus(registration) === 'pending') :
+        null;
+}
+
+async function markRegistrationReviewed(registration, changes) {
+    const key = registrationKey(registration);
+    return api.updateRow('registration', key.column, key.value, {
+        ...changes,
+        reviewed_by: currentUser.username,
+        reviewed_date: new Date().toISOString().split('T')[0]
+    });
+}
+
+async function openApproveRegistrationModal(column, value) {
+    const [registration, users] = await Promise.all([findRegistration(column, value), api.getUserRoster(false)]);
+    if (!registration) {
+        alert('This registration was already reviewed. The list will be refreshed.');
+        await loadRegistrations(false);
+        return;
+    }
+    const account = findRegistrationAccount(registration, users);
+    if (account) {
+        await finishRegistrationApproval(registration, account);
+        return;
+    }
     
-    const submitBtn = event.target.querySelector('button[type="submit"]');
+    approvingRegistration = registration;
+    document.getElementById('approveRegistrationName').textContent = registration.name;
+    document.getElementById('approveUsername').value = suggestUsername(registration.name, users);
+    document.getElementById('approvePassword').value = generatePassword();
+    document.getElementById('approveClass').value = '';
+    document.getElementById('approveRegistrationModal').classList.remove('hidden');
+}
+
+function closeApproveRegistrationModal() {
+    document.getElementById('approveRegistrationModal').classList.add('hidden');
+    approvingRegistration = null;
+}
+
+async function submitApproveRegistration(event) {
+    event.preventDefault();
+    const submitBtn = document.getElementById('approveRegistrationSubmitBtn');
     const originalText = submitBtn.innerHTML;
+    const registration = approvingRegistration;
+    
+    const user = {
+        username: document.getElementById('approveUsername').value.trim(),
+        full_name: registration.name,
+        role: 'student',
+        class: document.getElementById('approveClass').value.trim(),
+        subjects: '',
+        password: document.getElementById('approvePassword').value.trim()
+    };
     
     try {
-        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Adding Task...';
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Approving...';
         submitBtn.disabled = true;
         
-        const selectedClass = document.getElementById('adminTaskClassSelect').value;
-        const selectedSubject = document.getElementById('adminTaskSubjectSelect').value;
-        const taskId = document.getElementById('autoTaskId').value;
-        const title = document.getElementById('taskTitle').value.trim();
-        const description = document.getElementById('taskDescription').value.trim();
-        const dueDate = document.getElementById('taskDueDate').value;
-        
-        // Validation
-        if (!title || !description || !dueDate) {
-            alert('Please fill in all required fields.');
+        if (!user.class) {
+            alert('Please choose a class for the new student.');
+            return;
+        }
+        const key = registrationKey(registration);
+        const [current, users] = await Promise.all([
+            findRegistration(key.column, key.value),
+            api.getUserRoster(false)
+        ]);
+        if (!current) {
+            alert('This registration was already reviewed. The list will be refreshed.');
+            closeApproveRegistrationModal();
+            await loadRegistrations(false);
+            return;
+        }
+        const account = findRegistrationAccount(current, users);
+        if (account) {
+            closeApproveRegistrationModal();
+            await finishRegistrationApproval(current, account);
+            return;
+        }
+        const error = validateUserRecord(user, users);
+        if (error) {
+            alert(error);
             return;
         }
         
-        // Format due date to DD-MM-YYYY
-        const dateObj = new Date(dueDate);
-        const formattedDueDate = `${String(dateObj.getMonth() + 1).padStart(2, '0')}-${String(dateObj.getDate()).padStart(2, '0')}-${dateObj.getFullYear()}`;
-        // Prepare row data
-        const rowData = [
-            selectedSubject,
-            taskId,
-            title,
-            description,
-            formattedDueDate
-        ];
+        // Claim the registration for this username before creating the account
+        const claimResult = await api.updateRow('registration', key.column, key.value, { username: user.username }, { online: true });
+        if (!claimResult || claimResult.error) throw new Error(claimResult?.error || 'Failed to update the registration');
         
-        // Add to Google Sheet
-        const tasksSheetName = `${selectedClass}_tasks_master`;
-        const result = await api.addRow(tasksSheetName, rowData);
+        const result = await api.addUsers([buildUserRow(user)]);
+        if (!result || result.error) throw new Error(result?.error || 'Failed to create the account');
+        await createProgressSheets([user]);
         
-        if (result && (result.success || result.message?.includes('Success'))) {
-            alert('Task added successfully!');
-            closeAddTaskModal();
-            
-            // Refresh the tasks list
-            await loadAdminClassSubjectData(selectedClass, selectedSubject);
-        } else {
-            throw new Error(result?.error || 'Failed to add task');
+        const reviewResult = await markRegistrationReviewed(current, { status: 'approved', username: user.username });
+        if (!reviewResult || reviewResult.error || reviewResult.queued) {
+            console.error('Account created but registration not updated:', reviewResult);
+            alert(`The account ${user.username} was created, but the registration could not be marked approved ` +
+                  `(${reviewResult?.error || 'you are offline'}). Open the registration again to finish the approval; ` +
+                  'it will not create a second account.');
         }
         
+        alert(`${registration.name} approved.\n\nUsername: ${user.username}\nPassword: ${user.password}\nClass: ${user.class}\n\n` +
+              `Share these with the applicant (phone ${registration.phone}); they can change the password after signing in.`);
+        closeApproveRegistrationModal();
+        await loadRegistrations(false);
     } catch (error) {
-        console.error('Error adding task:', error);
-        alert('Error adding task: ' + error.message);
+        console.error('Error approving registration:', error);
+        alert('Error approving registration: ' + error.message);
     } finally {
-        submitBtn.innerHTML = '<i class="fas fa-plus mr-2"></i>Add Task';
+        submitBtn.innerHTML = originalText;
         submitBtn.disabled = false;
     }
 }
 
+async function rejectRegistration(column, value) {
+    const registration = await findRegistration(column, value);
+    if (!registration) {
+        alert('This registration was already reviewed. The list will be refreshed.');
+        await loadRegistrations(false);
+        return;
+    }
+    
+    const reason = prompt(`Reason for rejecting ${registration.name}:`, '');
+    if (reason === null) return;
+    if (!reason.trim()) {
+        alert('Please give a reason for the rejection.');
+        return;
+    }
+    
+    try {
+        const result = await markRegistrationReviewed(registration, { status: 'rejected', review_note: reason.trim() });
+        if (!result || result.error) throw new Error(result?.error || 'Failed to reject registration');
+        await loadRegistrations(false);
+    } catch (error) {
+        console.error('Error rejecting registration:', error);
+        alert('Error rejecting registration: ' + error.message);
+    }
+}
+
 // =============================
 // 🎯 Event Listeners & Initialization (OPTIMIZED)
 // =============================
@@ -1887,7 +6881,7 @@ function showNotification(message, type = 'info', duration = 5000) {
 // Pre-load critical data on app start
 async function preloadCriticalData() {
     if (currentUser) {
-        const criticalSheets = ['user_credentials'];
+        const criticalSheets = ['user_roster'];
         
         if (currentUser.role === 'student' && currentUser.class) {
             criticalSheets.push(
@@ -1956,6 +6950,13 @@ function initializeApp() {
     // Set default view to login
     showLogin();
     
+    // Pick up where the user left off if their session is still valid
+    restoreSession();
+    
+    // Show pending writes and try to flush anything left from a previous visit
+    api.onQueueChange(updateSyncIndicator);
+    api.processQueue();
+    
     console.log('System initialized successfully!');
 }
 
@@ -2046,32 +7047,8 @@ async function changePassword(event) {
     submitBtn.disabled = true;
     
     try {
-        // Get all users to verify current password
-        const users = await api.getSheet("user_credentials", false);
-        
-        if (!users || users.error || !Array.isArray(users)) {
-            throw new Error('Failed to fetch user data');
-        }
-        
-        // Find current user and verify current password - IMPROVED COMPARISON
-const user = users.find(u => {
-  if (!u.username || !u.password) return false;
-  
-  // Convert both to string and handle case-insensitive comparison
-  const storedUsername = String(u.username).toLowerCase().trim();
-  const currentUsername = String(currentUser.username).toLowerCase().trim();
-  const inputPassword = String(currentPassword).trim();
-  const storedPassword = String(u.password).trim();
-  
-  return storedUsername === currentUsername && storedPassword === inputPassword;
-});
-        
-        if (!user) {
-            throw new Error('Current password is incorrect');
-        }
-        
-        // Update password using the API
-        const updateResult = await api.updatePassword(currentUser.username, newPassword);
+        // The server verifies the current password and applies the new one
+        const updateResult = await api.changePassword(currentUser.username, currentPassword, newPassword);
         
         if (updateResult && updateResult.success) {
             showChangePasswordSuccess('Password changed successfully! You will be logged out in 3 seconds.');
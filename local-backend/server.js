@@ -0,0 +1,833 @@
+// =============================
+// 🧪 DHDC Local Backend
+// =============================
+// A small stand-in for the Google Apps Script web app, so the dashboard can be
+// developed, demoed and tested without touching the live spreadsheet.
+//
+//   node local-backend/server.js
+//   open http://localhost:8787/login.html?backend=local
+//
+// Sheets are kept in local-backend/data.json (created from seed.json on first
+// run; delete it to start over). Each sheet is stored as a header row plus
+// value rows, and is served the same way Apps Script serves it: an array of
+// objects keyed by the header row.
+//
+// Passwords never leave the server: clients call action=login and receive an
+// HMAC-signed session token, user_credentials cannot be read directly, and the
+// sanitized user_roster sheet stands in for it.
+//
+// Uploaded files (student submissions, feedback attachments) are kept in
+// local-backend/uploads and are only handed out through GET /api?file=<id>
+// to admins, their owner and the student whose folder they were uploaded to.
+//
+// Environment: PORT (default 8787), DHDC_DATA (path of the data file),
+// DHDC_UPLOADS (upload directory), DHDC_SESSION_SECRET (token signing key;
+// generated and kept in the data file when unset), DHDC_SESSION_HOURS (token
+// lifetime, default 12).
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SEED_FILE = path.join(__dirname, 'seed.json');
+const DATA_FILE = process.env.DHDC_DATA || path.join(__dirname, 'data.json');
+const UPLOAD_DIR = process.env.DHDC_UPLOADS || path.join(__dirname, 'uploads');
+const SESSION_HOURS = Number(process.env.DHDC_SESSION_HOURS) || 12;
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+// Sheets anyone may append to without a session (the public signup form)
+const PUBLIC_WRITE_SHEETS = ['registration'];
+
+// A student's own sheets (marks, handed-in work, feedback, extensions, and
+// progress set aside at year end): only that student and admins may read them
+const STUDENT_SHEET_PATTERN = /^(.+)_(progress|submissions|feedback|extensions)(_\d{4}-\d{2})?$/;
+
+// Sheets only admins may read (applicants' contact details, at-risk
+// thresholds, the year-end promotion record)
+const ADMIN_READ_SHEETS = ['registration', 'risk_rules', 'promotion_log'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml'
+};
+
+// Column layout for sheets that get created on first write
+function defaultHeaders(sheetName) {
+    if (sheetName === 'user_credentials') {
+        return ['username', 'password', 'full_name', 'role', 'class', 'subjects', 'status'];
+    }
+    if (sheetName === 'registration') {
+        return ['name', 'phone', 'gmail', 'state', 'district', 'place', 'po', 'pin_code', 'registration_date',
+            'registration_id', 'status', 'username', 'reviewed_by', 'reviewed_date', 'review_note'];
+    }
+    if (sheetName === 'password_updates') {
+        return ['username', 'new_password'];
+    }
+    if (sheetName === 'promotion_log') {
+        return ['year', 'username', 'from_class', 'to_class', 'promoted_by', 'promoted_at'];
+    }
+    if (sheetName === 'risk_rules') {
+        return ['class', 'max_overdue', 'below_median_percent', 'inactive_days'];
+    }
+    if (sheetName === 'late_policies') {
+        return ['scope', 'grace_days', 'percent_per_day', 'max_percent'];
+    }
+    if (sheetName.endsWith('_tasks_master')) {
+        return ['subject', 'task_id', 'title', 'description', 'due_date', 'status', 'rubric', 'year', 'term', 'publish_date'];
+    }
+    if (sheetName.endsWith('_progress')) {
+        return ['item_id', 'item_type', 'status', 'date', 'grade', 'revision', 'breakdown', 'year', 'term',
+            'late_days', 'penalty', 'penalty_waived'];
+    }
+    if (sheetName.endsWith('_submissions')) {
+        return ['submission_id', 'task_id', 'submitted_at', 'text', 'links', 'files', 'year', 'term'];
+    }
+    if (sheetName.endsWith('_extensions')) {
+        return ['task_id', 'due_date', 'exempt', 'granted_by', 'granted_at'];
+    }
+    if (sheetName.endsWith('_feedback')) {
+        return ['comment_id', 'task_id', 'author', 'role', 'created_at', 'text', 'files', 'year', 'term'];
+    }
+    return null;
+}
+
+// =============================
+// 💾 Storage
+// =============================
+function loadDatabase() {
+    const file = fs.existsSync(DATA_FILE) ? DATA_FILE : SEED_FILE;
+    const db = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!db.sheets) db.sheets = {};
+    if (!db.uploads) db.uploads = {};
+    return db;
+}
+
+function saveDatabase() {
+    const tmpFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(db, null, 2));
+    fs.renameSync(tmpFile, DATA_FILE);
+}
+
+const db = loadDatabase();
+
+if (!db.sessionSecret) {
+    db.sessionSecret = crypto.randomBytes(32).toString('hex');
+    saveDatabase();
+}
+const SESSION_SECRET = process.env.DHDC_SESSION_SECRET || db.sessionSecret;
+
+function getOrCreateSheet(sheetName, width) {
+    if (!db.sheets[sheetName]) {
+        const headers = defaultHeaders(sheetName) ||
+            Array.from({ length: width }, (_, i) => `column_${i + 1}`);
+        db.sheets[sheetName] = { headers, rows: [] };
+    }
+    return db.sheets[sheetName];
+}
+
+// Sheets created before a column existed grow into the current layout
+function extendHeaders(sheetName, sheet, width) {
+    const defaults = defaultHeaders(sheetName) || [];
+    while (sheet.headers.length < width) {
+        const index = sheet.headers.length;
+        sheet.headers.push(defaults[index] || `column_${index + 1}`);
+    }
+}
+
+function sheetToObjects(sheet) {
+    return sheet.rows.map(row => {
+        const record = {};
+        sheet.headers.forEach((header, index) => {
+            record[header] = row[index] === undefined ? '' : row[index];
+        });
+        return record;
+    });
+}
+
+// Progress revisions are numbered here rather than taken from the client, so
+// two graders (or a hand-in racing a grade) still append an ordered history
+function latestProgressRow(sheet, taskId) {
+    const idColumn = sheet.headers.indexOf('item_id');
+    const revisionColumn = sheet.headers.indexOf('revision');
+    let latest = null;
+    sheet.rows.forEach(row => {
+        if (String(row[idColumn]) !== String(taskId)) return;
+        if (!latest || (parseInt(row[revisionColumn]) || 0) >= (parseInt(latest[revisionColumn]) || 0)) latest = row;
+    });
+    return latest;
+}
+
+function assignProgressRevision(sheet, row) {
+    const idColumn = sheet.headers.indexOf('item_id');
+    const revisionColumn = sheet.headers.indexOf('revision');
+    if (idColumn < 0 || revisionColumn < 0) return;
+    const latest = latestProgressRow(sheet, row[idColumn]);
+    while (row.length < revisionColumn) row.push('');
+    row[revisionColumn] = String((latest ? parseInt(latest[revisionColumn]) || 0 : 0) + 1);
+}
+
+// Tasks a teacher has not published yet (status "draft", or a publish_date
+// still ahead) are only shown to admins, and nobody can hand work in for them
+function isTaskPublished(task, today = new Date()) {
+    if (String(task.status || '').toLowerCase() === 'draft') return false;
+    const text = String(task.publish_date || '').trim();
+    // MM-DD-YYYY as the dashboard writes it, or YYYY-MM-DD typed into the sheet
+    const sheetDate = text.match(/^(\d{1,2})-(\d{1,2})-(\d{4})$/);
+    const isoDate = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const [year, month, day] = sheetDate ? [sheetDate[3], sheetDate[1], sheetDate[2]] :
+        isoDate ? [isoDate[1], isoDate[2], isoDate[3]] : [];
+    if (!year) return true;
+    const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    return new Date(Number(year), Number(month) - 1, Number(day)) <= startOfToday;
+}
+
+// The task a student's row points at, from their current class's task sheet
+function findTaskFor(username, taskId) {
+    const user = getUserRecord(username);
+    const tasks = user && db.sheets[`${user.class}_tasks_master`];
+    return (tasks && sheetToObjects(tasks).find(row => String(row.task_id) === String(taskId))) || null;
+}
+
+function isPublishedTaskFor(username, taskId) {
+    const task = findTaskFor(username, taskId);
+    return !!task && isTaskPublished(task);
+}
+
+// A hand-in never replaces a mark: once a task's latest row is "complete" only
+// a teacher can reopen it. Only the task and date come from the student; the
+// term is copied from the task (see checkTaskTerms), the grade columns stay
+// empty and the revision is numbered on append.
+function checkHandIn(sheet, row) {
+    const latest = sheet ? latestProgressRow(sheet, row[0]) : null;
+    if (latest && latest[sheet.headers.indexOf('status')] === 'complete') {
+        return { error: 'This task has already been graded' };
+    }
+    return { row: [row[0], 'task', 'submitted', row[3], '', '', '', '', '', '', '', ''] };
+}
+
+// =============================
+// 📅 Terms
+// =============================
+// The same calendar as the dashboard: academic years run June to March, term 1
+// is June to September, term 2 October to December and term 3 January to May.
+// A task's term is its year/term columns, or the term of its due date.
+function academicTerm(date = new Date()) {
+    const month = date.getMonth();
+    const startYear = month >= 5 ? date.getFullYear() : date.getFullYear() - 1;
+    return {
+        year: `${startYear}-${String(startYear + 1).slice(-2)}`,
+        term: String(month >= 5 && month <= 8 ? 1 : month >= 9 ? 2 : 3)
+    };
+}
+
+function taskTerm(task) {
+    if (task.year && task.term) return { year: String(task.year), term: String(task.term) };
+    const dueDate = new Date(task.due_date);
+    return academicTerm(isNaN(dueDate.getTime()) ? new Date() : dueDate);
+}
+
+function isTermEnded(term) {
+    const current = academicTerm();
+    return term.year === current.year ? Number(term.term) < Number(current.term) : term.year < current.year;
+}
+
+// Terms that have ended are read-only for everyone: no tasks added to or
+// edited in them, and no marks, hand-ins, comments or extensions for their
+// tasks. Rows of per-student sheets get the year and term of the task they
+// point at, whatever the client sent; set-aside _<year> copies take no writes.
+// Returns an error message, or null when the rows may be written.
+function checkTaskTerms(sheetName, rows) {
+    const headers = (db.sheets[sheetName] || {}).headers || defaultHeaders(sheetName) || [];
+    const toTask = row => Object.fromEntries(headers.map((header, index) => [header, row[index] ?? '']));
+    if (sheetName.endsWith('_tasks_master')) {
+        const ended = rows.map(toTask).find(task => isTermEnded(taskTerm(task)));
+        return ended ? `Term ${taskTerm(ended).term}, ${taskTerm(ended).year} has ended and is read-only` : null;
+    }
+
+    const match = sheetName.match(STUDENT_SHEET_PATTERN);
+    if (!match) return null;
+    if (match[3]) return `${sheetName} is set aside for an earlier year and is read-only`;
+    const idColumn = headers.indexOf(match[2] === 'progress' ? 'item_id' : 'task_id');
+    const yearColumn = headers.indexOf('year');
+    const termColumn = headers.indexOf('term');
+    for (const row of rows) {
+        const task = findTaskFor(match[1], row[idColumn]);
+        if (!task) continue;
+        const term = taskTerm(task);
+        if (isTermEnded(term)) return `Term ${term.term}, ${term.year} has ended and is read-only`;
+        if (yearColumn >= 0 && termColumn >= 0) {
+            while (row.length <= Math.max(yearColumn, termColumn)) row.push('');
+            row[yearColumn] = term.year;
+            row[termColumn] = term.term;
+        }
+    }
+    return null;
+}
+
+// =============================
+// 🔑 Sessions
+// =============================
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function signToken(payload) {
+    const body = base64url(JSON.stringify(payload));
+    const signature = base64url(crypto.createHmac('sha256', SESSION_SECRET).update(body).digest());
+    return `${body}.${signature}`;
+}
+
+// Returns the token payload, or null when the token is forged or expired
+function verifyToken(token) {
+    if (!token || typeof token !== 'string' || !token.includes('.')) return null;
+    const [body, signature] = token.split('.');
+    const expected = base64url(crypto.createHmac('sha256', SESSION_SECRET).update(body).digest());
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+    try {
+        const payload = JSON.parse(Buffer.from(body.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+        return payload.exp > Date.now() ? payload : null;
+    } catch {
+        return null;
+    }
+}
+
+function getSession(token) {
+    const session = verifyToken(token);
+    if (!session) return null;
+    const record = getUserRecord(session.sub);
+    return record && isActiveUser(record) ? session : null;
+}
+
+function findUser(username) {
+    const users = db.sheets.user_credentials;
+    if (!users) return null;
+    const usernameIndex = users.headers.indexOf('username');
+    return users.rows.find(row => String(row[usernameIndex]) === String(username)) || null;
+}
+
+function setUserField(userRow, field, value) {
+    const index = db.sheets.user_credentials.headers.indexOf(field);
+    if (index !== -1) userRow[index] = value;
+}
+
+// Deactivated users (status = "inactive") and graduates (status = "alumni")
+// keep their row and progress but cannot sign in, and sessions they already
+// hold stop working
+const INACTIVE_STATUSES = ['inactive', 'alumni'];
+
+function isActiveUser(record) {
+    return !INACTIVE_STATUSES.includes(String(record.status || '').toLowerCase());
+}
+
+function getUserRecord(username) {
+    const userRow = findUser(username);
+    return userRow && sheetToObjects({ headers: db.sheets.user_credentials.headers, rows: [userRow] })[0];
+}
+
+function publicProfile(record) {
+    const { password, ...profile } = record;
+    return profile;
+}
+
+function login(username, password) {
+    const record = getUserRecord(String(username || '').trim());
+    if (!record || String(record.password).trim() !== String(password || '').trim()) {
+        return { error: 'Invalid username or password' };
+    }
+    if (!isActiveUser(record)) {
+        return { error: 'This account has been deactivated. Please contact the administrator.' };
+    }
+
+    const expiresAt = Date.now() + SESSION_HOURS * 60 * 60 * 1000;
+    const token = signToken({ sub: record.username, role: record.role || 'student', exp: expiresAt });
+    return { success: true, token, expiresAt, user: publicProfile(record) };
+}
+
+function changePassword(session, payload) {
+    const { username, currentPassword, newPassword } = payload;
+    if (String(session.sub) !== String(username)) return { error: 'You can only change your own password' };
+
+    const result = login(username, currentPassword);
+    if (!result.success) return { error: 'Current password is incorrect' };
+    if (!newPassword || String(newPassword).length < 6) {
+        return { error: 'New password must be at least 6 characters long' };
+    }
+
+    setUserField(findUser(username), 'password', String(newPassword));
+    saveDatabase();
+    return { success: true, message: 'Success: password updated' };
+}
+
+// =============================
+// 📊 Sheet Operations
+// =============================
+function readSheet(sheetName, session) {
+    if (!session) return { error: 'Not signed in' };
+    if (sheetName === 'user_credentials') return { error: 'Access denied: use user_roster' };
+    if (ADMIN_READ_SHEETS.includes(sheetName) && session.role !== 'admin') return { error: 'Access denied' };
+    const owner = (sheetName.match(STUDENT_SHEET_PATTERN) || [])[1];
+    if (owner !== undefined && session.role !== 'admin' && owner !== String(session.sub)) return { error: 'Access denied' };
+    if (sheetName === 'user_roster') {
+        const users = db.sheets.user_credentials;
+        return users ? sheetToObjects(users).map(publicProfile) : [];
+    }
+
+    const sheet = db.sheets[sheetName];
+    if (!sheet) return { error: `Sheet not found: ${sheetName}` };
+    if (sheetName.endsWith('_tasks_master') && session.role !== 'admin') {
+        return sheetToObjects(sheet).filter(task => isTaskPublished(task));
+    }
+    return sheetToObjects(sheet);
+}
+
+function appendRow(sheetName, row, session) {
+    if (!Array.isArray(row)) return { error: 'Row data must be an array' };
+    if (!session && !PUBLIC_WRITE_SHEETS.includes(sheetName)) return { error: 'Not signed in' };
+    if (sheetName === 'user_roster') return { error: 'user_roster is read-only' };
+
+    // Apps Script treats password_updates as a command against user_credentials.
+    // It is an admin reset; users change their own password through
+    // changePassword, which checks the current one first.
+    if (sheetName === 'password_updates') {
+        const [username, newPassword] = row;
+        if (session.role !== 'admin') return { error: 'Access denied: use changePassword' };
+        const userRow = findUser(username);
+        if (!userRow) return { error: 'User not found' };
+        setUserField(userRow, 'password', newPassword);
+        saveDatabase();
+        return { success: true, message: 'Success: password updated' };
+    }
+
+    // Students only hand work in and reply to feedback: rows of their own
+    // submissions sheet, "submitted" rows in their own progress sheet and
+    // comments signed as themselves in their own feedback thread
+    if (session && session.role !== 'admin' && !PUBLIC_WRITE_SHEETS.includes(sheetName)) {
+        const ownSubmission = sheetName === `${session.sub}_submissions`;
+        const ownHandIn = sheetName === `${session.sub}_progress` && row[2] === 'submitted';
+        const ownReply = sheetName === `${session.sub}_feedback` &&
+            String(row[2]) === String(session.sub) && row[3] === 'student';
+        if (!ownSubmission && !ownHandIn && !ownReply) return { error: 'Access denied' };
+        if ((ownSubmission || ownHandIn) && !isPublishedTaskFor(session.sub, ownSubmission ? row[1] : row[0])) {
+            return { error: 'Task not found' };
+        }
+        if (ownHandIn) {
+            const handIn = checkHandIn(db.sheets[sheetName], row);
+            if (handIn.error) return handIn;
+            row = handIn.row;
+        }
+    }
+
+    if (sheetName === 'user_credentials') {
+        if (session.role !== 'admin') return { error: 'Access denied' };
+        const username = String(row[0] || '').trim();
+        if (!username) return { error: 'Username is required' };
+        if (findUser(username)) return { error: `Username ${username} is already taken` };
+    }
+
+    const termError = checkTaskTerms(sheetName, [row]);
+    if (termError) return { error: termError };
+
+    const sheet = getOrCreateSheet(sheetName, row.length);
+    extendHeaders(sheetName, sheet, row.length);
+    if (sheetName.endsWith('_progress')) assignProgressRevision(sheet, row);
+    sheet.rows.push(row);
+    saveDatabase();
+    return { success: true, message: 'Success: row added' };
+}
+
+// All rows or none; used for bulk imports
+function appendRows(sheetName, rows, session) {
+    if (!session || session.role !== 'admin') return { error: 'Access denied' };
+    if (!Array.isArray(rows) || rows.length === 0 || !rows.every(Array.isArray)) {
+        return { error: 'Rows must be a non-empty array of arrays' };
+    }
+    if (['user_roster', 'password_updates'].includes(sheetName)) {
+        return { error: `${sheetName} does not accept bulk appends` };
+    }
+    if (sheetName === 'user_credentials') {
+        const usernames = rows.map(row => String(row[0] || '').trim());
+        const taken = usernames.find((username, index) =>
+            !username || findUser(username) || usernames.indexOf(username) !== index);
+        if (taken !== undefined) {
+            return { error: taken ? `Username ${taken} is already taken` : 'Username is required' };
+        }
+    }
+
+    const termError = checkTaskTerms(sheetName, rows);
+    if (termError) return { error: termError };
+
+    const width = Math.max(...rows.map(row => row.length));
+    const sheet = getOrCreateSheet(sheetName, width);
+    extendHeaders(sheetName, sheet, width);
+    rows.forEach(row => {
+        if (sheetName.endsWith('_progress')) assignProgressRevision(sheet, row);
+        sheet.rows.push(row);
+    });
+    saveDatabase();
+    return { success: true, added: rows.length, message: 'Success: rows added' };
+}
+
+// Creates an empty sheet with its default (or the given) header row;
+// succeeds without changes when the sheet already exists
+function createSheet(sheetName, headers, session) {
+    if (!session || session.role !== 'admin') return { error: 'Access denied' };
+    if (!sheetName || sheetName === 'user_roster') return { error: 'Invalid sheet name' };
+    if (db.sheets[sheetName]) return { success: true, created: false, message: 'Success: sheet exists' };
+
+    const columns = Array.isArray(headers) && headers.length > 0 ? headers.map(String) : defaultHeaders(sheetName);
+    if (!columns) return { error: `No headers given for ${sheetName}` };
+    db.sheets[sheetName] = { headers: columns, rows: [] };
+    saveDatabase();
+    return { success: true, created: true, message: 'Success: sheet created' };
+}
+
+// Used to set a sheet aside (e.g. last year's progress) under a new name
+function renameSheet(sheetName, newName, session) {
+    if (!session || session.role !== 'admin') return { error: 'Access denied' };
+    if (!db.sheets[sheetName]) return { error: `Sheet not found: ${sheetName}` };
+    if (!newName || newName === 'user_roster') return { error: 'Invalid sheet name' };
+    if (db.sheets[newName]) return { error: `Sheet already exists: ${newName}` };
+    if (['user_credentials', 'registration'].includes(sheetName)) return { error: `${sheetName} cannot be renamed` };
+
+    db.sheets[newName] = db.sheets[sheetName];
+    delete db.sheets[sheetName];
+    saveDatabase();
+    return { success: true, message: 'Success: sheet renamed' };
+}
+
+function findRowIndexes(sheet, keyColumn, keyValue) {
+    const keyIndex = sheet.headers.indexOf(keyColumn);
+    if (keyIndex === -1) return [];
+    return sheet.rows
+        .map((row, index) => (String(row[keyIndex]) === String(keyValue) ? index : -1))
+        .filter(index => index !== -1);
+}
+
+function updateRow(sheetName, keyColumn, keyValue, changes, session) {
+    if (!session || session.role !== 'admin') return { error: 'Access denied' };
+    if (sheetName === 'user_credentials' && 'password' in changes) {
+        return { error: 'Use password_updates to change passwords' };
+    }
+    // Progress sheets are named after the username, so it never changes
+    if (sheetName === 'user_credentials' && 'username' in changes) {
+        return { error: 'Usernames cannot be changed' };
+    }
+
+    const sheet = db.sheets[sheetName];
+    if (!sheet) return { error: `Sheet not found: ${sheetName}` };
+    const rowIndexes = findRowIndexes(sheet, keyColumn, keyValue);
+    if (rowIndexes.length === 0) return { error: `No row with ${keyColumn} = ${keyValue}` };
+    // Archiving is how a year is put away, so it stays possible for ended terms
+    const archiving = sheetName.endsWith('_tasks_master') &&
+        Object.keys(changes).length === 1 && changes.status === 'archived';
+    if (!archiving) {
+        const before = rowIndexes.map(rowIndex => [...sheet.rows[rowIndex]]);
+        const after = before.map(row => {
+            const changed = [...row];
+            Object.entries(changes).forEach(([column, value]) => {
+                if (sheet.headers.includes(column)) changed[sheet.headers.indexOf(column)] = value;
+            });
+            return changed;
+        });
+        const termError = checkTaskTerms(sheetName, before) ||
+            (sheetName.endsWith('_tasks_master') ? checkTaskTerms(sheetName, after) : null);
+        if (termError) return { error: termError };
+    }
+
+    Object.keys(changes).forEach(column => {
+        if (!sheet.headers.includes(column)) sheet.headers.push(column);
+    });
+    rowIndexes.forEach(rowIndex => {
+        const row = sheet.rows[rowIndex];
+        Object.entries(changes).forEach(([column, value]) => {
+            row[sheet.headers.indexOf(column)] = value;
+        });
+    });
+    saveDatabase();
+    return { success: true, updated: rowIndexes.length, message: 'Success: row updated' };
+}
+
+function deleteRow(sheetName, keyColumn, keyValue, session) {
+    if (!session || session.role !== 'admin') return { error: 'Access denied' };
+
+    const sheet = db.sheets[sheetName];
+    if (!sheet) return { error: `Sheet not found: ${sheetName}` };
+    const rowIndexes = findRowIndexes(sheet, keyColumn, keyValue);
+    if (rowIndexes.length === 0) return { error: `No row with ${keyColumn} = ${keyValue}` };
+    const termError = checkTaskTerms(sheetName, rowIndexes.map(rowIndex => [...sheet.rows[rowIndex]]));
+    if (termError) return { error: termError };
+
+    sheet.rows = sheet.rows.filter((_, index) => !rowIndexes.includes(index));
+    saveDatabase();
+    return { success: true, deleted: rowIndexes.length, message: 'Success: row deleted' };
+}
+
+// =============================
+// 📎 Uploads
+// =============================
+// Folders name the student a file is for, which is who may read it back
+// (see serveUpload): anyone uploads their own submissions/<username> and
+// feedback/<username>, and only admins attach feedback for someone else
+function checkUploadFolder(folder, session) {
+    const match = folder.match(/^(submissions|feedback)\/([^/]+)$/);
+    if (!match) return 'Uploads go to submissions/<username> or feedback/<username>';
+    const [, kind, student] = match;
+    if (student === String(session.sub)) return null;
+    if (kind !== 'feedback' || session.role !== 'admin') return 'Access denied';
+    return findUser(student) ? null : `User not found: ${student}`;
+}
+
+function uploadFile(session, payload) {
+    if (!session) return { error: 'Not signed in' };
+    const folder = String(payload.folder || '');
+    const folderError = checkUploadFolder(folder, session);
+    if (folderError) return { error: folderError };
+    const name = path.basename(String(payload.name || '').trim());
+    if (!name) return { error: 'File name is required' };
+    const content = Buffer.from(String(payload.data || ''), 'base64');
+    if (content.length === 0) return { error: 'File is empty' };
+    if (content.length > MAX_UPLOAD_BYTES) {
+        return { error: `File is larger than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB` };
+    }
+
+    const id = crypto.randomBytes(12).toString('hex');
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    fs.writeFileSync(path.join(UPLOAD_DIR, id), content);
+    db.uploads[id] = {
+        name,
+        type: String(payload.type || 'application/octet-stream'),
+        size: content.length,
+        folder,
+        owner: String(session.sub),
+        uploaded_at: new Date().toISOString()
+    };
+    saveDatabase();
+    return { success: true, url: `/api?file=${id}`, name, size: content.length };
+}
+
+function serveUpload(res, id, session) {
+    const upload = Object.prototype.hasOwnProperty.call(db.uploads, id) ? db.uploads[id] : null;
+    if (!session) {
+        sendJson(res, 401, { error: 'Not signed in' });
+        return;
+    }
+    if (!upload) {
+        sendJson(res, 404, { error: 'File not found' });
+        return;
+    }
+    // Folders end in the student the file is for (submissions/<u>, feedback/<u>)
+    const student = upload.folder.split('/').pop();
+    if (session.role !== 'admin' && upload.owner !== String(session.sub) && student !== String(session.sub)) {
+        sendJson(res, 403, { error: 'Access denied' });
+        return;
+    }
+
+    fs.readFile(path.join(UPLOAD_DIR, id), (err, content) => {
+        if (err) {
+            sendJson(res, 404, { error: 'File not found' });
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': upload.type,
+            'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(upload.name)}`,
+            'X-Content-Type-Options': 'nosniff',
+            // Uploads are whatever students send in; never let one run as a page of this site
+            'Content-Security-Policy': 'sandbox'
+        });
+        res.end(content);
+    });
+}
+
+function parseJsonField(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function handleAction(payload) {
+    if (payload.action === 'login') {
+        return login(payload.username, payload.password);
+    }
+
+    const session = getSession(payload.token);
+
+    if (payload.action === 'changePassword') {
+        return session ? changePassword(session, payload) : { error: 'Not signed in' };
+    }
+
+    if (payload.action === 'updateRow') {
+        let changes;
+        try {
+            changes = parseJsonField(payload.data);
+        } catch {
+            return { error: 'Invalid row data' };
+        }
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return { error: 'Row changes must be an object' };
+        }
+        return updateRow(String(payload.sheet), String(payload.key), payload.keyValue, changes, session);
+    }
+
+    if (payload.action === 'appendRows') {
+        let rows;
+        try {
+            rows = parseJsonField(payload.data);
+        } catch {
+            return { error: 'Invalid row data' };
+        }
+        return appendRows(String(payload.sheet), rows, session);
+    }
+
+    if (payload.action === 'createSheet') {
+        let headers;
+        try {
+            headers = payload.headers ? parseJsonField(payload.headers) : null;
+        } catch {
+            return { error: 'Invalid headers' };
+        }
+        return createSheet(String(payload.sheet || ''), headers, session);
+    }
+
+    if (payload.action === 'renameSheet') {
+        return renameSheet(String(payload.sheet || ''), String(payload.newName || ''), session);
+    }
+
+    if (payload.action === 'uploadFile') {
+        return uploadFile(session, payload);
+    }
+
+    if (payload.action === 'deleteRow') {
+        return deleteRow(String(payload.sheet), String(payload.key), payload.keyValue, session);
+    }
+
+    if (payload.sheet && !payload.action) {
+        let row;
+        try {
+            row = parseJsonField(payload.data);
+        } catch {
+            return { error: 'Invalid row data' };
+        }
+        return appendRow(String(payload.sheet), row, session);
+    }
+    return { error: `Unknown action: ${payload.action || '(none)'}` };
+}
+
+// =============================
+// 🌐 HTTP Server
+// =============================
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > 10 * 1024 * 1024) reject(new Error('Request body too large'));
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+// Accept both JSON bodies (LocalSheetsAPI) and form bodies (Apps Script style)
+function parseBody(req, body) {
+    const contentType = req.headers['content-type'] || '';
+    if (contentType.includes('application/json')) {
+        return body ? JSON.parse(body) : {};
+    }
+    return Object.fromEntries(new URLSearchParams(body));
+}
+
+function serveStatic(req, res, pathname) {
+    const relativePath = decodeURIComponent(pathname === '/' ? '/login.html' : pathname);
+    const filePath = path.resolve(ROOT_DIR, '.' + relativePath);
+
+    // Never serve the data files, dotfiles or anything outside the project
+    const isHidden = relativePath.split('/').some(part => part.startsWith('.'));
+    if (isHidden || !filePath.startsWith(ROOT_DIR + path.sep) || filePath.startsWith(__dirname + path.sep)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+async function handleApi(req, res, url) {
+    if (req.method === 'OPTIONS') {
+        sendJson(res, 204, {});
+        return;
+    }
+
+    if (req.method === 'GET') {
+        const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const session = getSession(bearer || url.searchParams.get('token'));
+        const fileId = url.searchParams.get('file');
+        if (fileId) {
+            serveUpload(res, fileId, session);
+            return;
+        }
+        const sheetName = url.searchParams.get('sheet');
+        if (!sheetName) {
+            sendJson(res, 400, { error: 'Missing sheet parameter' });
+            return;
+        }
+        sendJson(res, 200, readSheet(sheetName, session));
+        return;
+    }
+
+    if (req.method === 'POST') {
+        const payload = parseBody(req, await readBody(req));
+        sendJson(res, 200, handleAction(payload));
+        return;
+    }
+
+    sendJson(res, 405, { error: `Method not allowed: ${req.method}` });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    try {
+        if (url.pathname === '/api') {
+            await handleApi(req, res, url);
+        } else {
+            serveStatic(req, res, url.pathname);
+        }
+    } catch (error) {
+        console.error(`${req.method} ${req.url} failed:`, error);
+        sendJson(res, 500, { error: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`DHDC local backend on http://localhost:${PORT}`);
+    console.log(`Dashboard: http://localhost:${PORT}/login.html?backend=local`);
+    console.log(`Data file: ${DATA_FILE}`);
+});